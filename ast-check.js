@@ -0,0 +1,71 @@
+const fs = require("fs");
+const { diffAST, formatDiffs } = require("./ast-diff");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+
+const limit = process.env.AST_DIFF_LIMIT ? Number(process.env.AST_DIFF_LIMIT) : 5;
+
+function tryParse(parser, code, fixture) {
+  try {
+    return parser.parse(code, fixtureOptions(parser.options, fixture));
+  } catch (e) {
+    return e;
+  }
+}
+
+exports.isDevParser = function isDevParser(name) {
+  return name === "dev" || name.startsWith("dev:");
+};
+
+/**
+ * Parses `code` with the published babel parser and every dev build in
+ * `parsers` and returns the differences of each dev build's AST (or error)
+ * from babel's, keyed by parser name. Builds with the same AST are left out.
+ */
+exports.checkFixture = function checkFixture(parsers, code, fixture) {
+  const mismatches = {};
+  const expected = tryParse(parsers.babel, code, fixture);
+  for (let i in parsers) {
+    if (!exports.isDevParser(i)) continue;
+    const diffs = diffAST(expected, tryParse(parsers[i], code, fixture), { limit });
+    if (diffs.length) {
+      mismatches[i] = diffs;
+    }
+  }
+  return mismatches;
+};
+
+exports.printMismatches = function printMismatches(file, mismatches) {
+  for (let i in mismatches) {
+    console.error(`AST of ${i} differs from babel on ${fixtureName(file)}, first differences:`);
+    console.error(formatDiffs(mismatches[i], "babel", i).join("\n"));
+  }
+};
+
+if (require.main === module) {
+  const { parsers: selectedParsers, allParsers, files, fixtures } = require("./config");
+  const { loadParsers, printLoadReport } = require("./loader");
+
+  const selected = { babel: allParsers.babel };
+  for (let i in selectedParsers) {
+    if (exports.isDevParser(i)) selected[i] = selectedParsers[i];
+  }
+  const loaded = loadParsers(selected);
+  printLoadReport(loaded);
+  const { parsers } = loaded;
+  if (!parsers.babel || Object.keys(parsers).length < 2) {
+    console.error("Checking ASTs needs the babel parser and at least one dev build.");
+    process.exit(2);
+  }
+
+  let failed = false;
+  for (const file of files) {
+    const mismatches = exports.checkFixture(parsers, fs.readFileSync(file, "utf-8"), fixtures[file]);
+    for (let i in parsers) {
+      if (!exports.isDevParser(i) || mismatches[i]) continue;
+      console.log(`${fixtureName(file)}: ${i} has the same AST as babel`);
+    }
+    exports.printMismatches(file, mismatches);
+    failed = failed || Object.keys(mismatches).length > 0;
+  }
+  process.exitCode = failed ? 1 : 0;
+}
@@ -0,0 +1,102 @@
+const { hasOwnProperty } = Object.prototype;
+
+function kind(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof RegExp) return "regexp";
+  if (value instanceof Error) return "error";
+  return typeof value;
+}
+
+function keyPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// short description of a value for the diff output
+exports.describe = function describe(value) {
+  switch (kind(value)) {
+    case "array":
+      return `Array(${value.length})`;
+    case "object":
+      return value.type ? `${value.constructor.name}<${value.type}>` : value.constructor.name || "Object";
+    case "error":
+      return `${value.name}: ${value.message}`;
+    case "string":
+      return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value);
+    case "bigint":
+      return `${value}n`;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Deep compares two ASTs (or any JSON-like values including errors and regexps)
+ * and returns the mismatches as `{ path, a, b }`, at most `limit` of them.
+ * `path` is like `program.body[3].loc.start.column`.
+ */
+exports.diffAST = function diffAST(a, b, { limit = 10 } = {}) {
+  const diffs = [];
+  const ancestors = new Set();
+
+  function visit(a, b, path) {
+    if (diffs.length >= limit) return;
+    const kindA = kind(a);
+    if (kindA !== kind(b)) {
+      diffs.push({ path, a, b });
+      return;
+    }
+    switch (kindA) {
+      case "regexp":
+        if (String(a) !== String(b)) diffs.push({ path, a, b });
+        return;
+      case "error":
+        if (a.message !== b.message) {
+          diffs.push({ path: keyPath(path, "message"), a: a.message, b: b.message });
+        }
+        break;
+      case "array":
+      case "object":
+        break;
+      default:
+        if (!Object.is(a, b)) diffs.push({ path, a, b });
+        return;
+    }
+    if (ancestors.has(a)) return;
+    ancestors.add(a);
+    if (kindA === "array") {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        visit(a[i], b[i], keyPath(path, i));
+      }
+    } else {
+      const keys = Object.keys(a);
+      for (const key of Object.keys(b)) {
+        if (!keys.includes(key)) keys.push(key);
+      }
+      for (const key of keys) {
+        const inA = hasOwnProperty.call(a, key);
+        if (!inA || !hasOwnProperty.call(b, key)) {
+          diffs.push({ path: keyPath(path, key), a: a[key], b: b[key], missing: inA ? "b" : "a" });
+          if (diffs.length >= limit) break;
+          continue;
+        }
+        visit(a[key], b[key], keyPath(path, key));
+      }
+    }
+    ancestors.delete(a);
+  }
+
+  visit(a, b, "");
+  return diffs;
+};
+
+exports.formatDiffs = function formatDiffs(diffs, nameA, nameB) {
+  return diffs.map(({ path, a, b, missing }) => {
+    if (missing) {
+      const [present, value] = missing === "a" ? [nameB, b] : [nameA, a];
+      return `  ${path || "(root)"}: only in ${present} (${exports.describe(value)})`;
+    }
+    return `  ${path || "(root)"}: ${nameA} ${exports.describe(a)}, ${nameB} ${exports.describe(b)}`;
+  });
+};
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const Benchmark = require("benchmark");
+const { test, formatTime } = require("./util");
+
+// hz and stats of a finished benchmark, as plain data that can be sent to another process
+exports.benchmarkResult = function benchmarkResult(bench) {
+  const { mean, deviation, variance, rme, moe, sem, sample } = bench.stats;
+  return {
+    hz: bench.hz,
+    stats: { mean, deviation, variance, rme, moe, sem, samples: sample.length, sample },
+  };
+};
+
+exports.formatBenchmark = function formatBenchmark({ hz, stats }) {
+  const factor = hz < 100 ? 100 : 1;
+  return `${Math.round(hz * factor) / factor} ops/sec ±${Math.round(stats.rme * 100) / 100}% (${formatTime(stats.mean * 1000)})`;
+};
+
+// a single (parser, fixture) cell of `ISOLATE=1 yarn run test`, run the same
+// way as index.js runs it but in a fresh process
+if (require.main === module) {
+  const { isolatedCell, reply } = require("./isolate");
+  const { loadParsers } = require("./loader");
+  const { fixtureOptions, fixtureName } = require("./fixtures");
+  const { parsers: selectedParsers, fixtures, benchmarkOptions } = require("./config");
+  const { createGCTracker } = require("./gc");
+
+  const { parser: name, file } = isolatedCell();
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const { parse } = parsers[name];
+  const options = fixtureOptions(parsers[name].options, fixtures[file]);
+  const code = fs.readFileSync(file, "utf-8");
+
+  let warm = true;
+  // warmup
+  try {
+    test(parse, options, code, 5);
+  } catch (e) {
+    reply({ error: e.message });
+    warm = false;
+  }
+  if (warm) {
+    global.gc();
+    const gcTracker = createGCTracker();
+    const suite = new Benchmark.Suite(fixtureName(file), benchmarkOptions);
+    suite.add(name, () => {
+      parse(code, options);
+    }, { onStart: () => gcTracker.start(name) });
+    let result;
+    suite.on("cycle", event => {
+      gcTracker.stop(name);
+      result = exports.benchmarkResult(event.target);
+    });
+    suite.run({ async: false });
+    gcTracker.collect().then(stats => {
+      gcTracker.disconnect();
+      reply({ ...result, gc: stats[name] });
+    });
+  }
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const root = path.join(__dirname, "..");
+
+const nodeFlags = [
+  "--expose-gc",
+  "--max-old-space-size=2000",
+  "--max-semi-space-size=1500",
+  "--predictable",
+];
+
+const commands = {
+  time: {
+    description: "time parsers on fixtures with Benchmark.js",
+    script: "index.js",
+  },
+  memory: {
+    description: "measure heap usage of parsing each fixture",
+    script: "mem.js",
+  },
+  profile: {
+    description: "CPU profile only the parse loop of each parser and fixture, one .cpuprofile each in ./cpuprofile",
+    script: "profile.js",
+  },
+  "profile-process": {
+    description: "time parsers with the V8 CPU profiler on for the whole process, profiles go to ./cpuprofile",
+    script: "index.js",
+    nodeFlags: env => ["--cpu-prof", `--cpu-prof-dir=${env.PROFILE_DIR || "./cpuprofile"}`],
+  },
+  compare: {
+    description: "time parsers and compare them against a baseline (default: babel,dev)",
+    script: "index.js",
+    env: { PARSER: "babel,dev", BASELINE: "babel" },
+  },
+  refs: {
+    description: "build babel-parser at two or more refs of a babel checkout and compare them",
+    script: "refs.js",
+  },
+  bisect: {
+    description: "find the babel commit between --good and --bad that made a fixture slower",
+    script: "bisect.js",
+  },
+  check: {
+    description: "compare the ASTs of the dev builds with the published babel parser",
+    script: "ast-check.js",
+  },
+  shapes: {
+    description: "count V8 maps per AST node type, dictionary objects and holey arrays",
+    script: "shapes.js",
+    nodeFlags: ["--allow-natives-syntax"],
+  },
+  estree: {
+    description: "normalize each parser's AST to ESTree and diff it against the first parser",
+    script: "estree.js",
+    env: { PARSER: "acorn,babel,dev,esprima,meriyah" },
+  },
+  warmup: {
+    description: "time every parse from the first one in a fresh process, with the warm-up curve",
+    script: "warmup.js",
+  },
+  soak: {
+    description: "parse the fixtures over and over per parser and flag heap growth or slowdowns",
+    script: "soak.js",
+  },
+  leakage: {
+    description: "parse every fixture fresh and after each other fixture, and compare the ASTs",
+    script: "leakage.js",
+  },
+  heap: {
+    description: "heap snapshot of each AST, with its objects and sizes by constructor",
+    script: "heap.js",
+  },
+  retention: {
+    description: "check in heap snapshots whether ASTs keep the fixture's source string alive",
+    script: "retention.js",
+  },
+  fixtures: {
+    description: "list fixtures with their manifest metadata and hash status",
+    script: "fixtures.js",
+  },
+};
+
+// flag => [environment variable, value name, description]
+const flags = {
+  fixture: ["FILE", "glob", "fixtures to run, a substring or glob, repeatable"],
+  tag: ["TAG", "tags", "only fixtures with one of these manifest tags, repeatable"],
+  parser: ["PARSER", "names", "comma separated parsers to run, repeatable"],
+  all: ["PARSER_ALL", null, "run all parsers"],
+  "babel-repo": ["BABEL_REPO", "path", "babel checkout for `refs` and `bisect` (default ../babel)"],
+  ref: ["REFS", "ref", "git ref to build and benchmark in `refs`, repeatable"],
+  good: ["GOOD", "ref", "last commit without the regression in `bisect`"],
+  bad: ["BAD", "ref", "a commit with the regression in `bisect`"],
+  "build-cache-dir": ["BUILD_CACHE_DIR", "dir", "cache of babel-parser builds of `refs` and `bisect` (default ./.cache/babel-parser)"],
+  "babel-parser-path": ["BABEL_PARSER_PATH", "path", "`dev` build, or label=path builds, repeatable"],
+  samples: ["MIN_SAMPLES", "n", "minimum Benchmark.js samples per parser"],
+  iterations: ["ITERATIONS", "n", "parses per parser and fixture in `memory`, ASTs kept in `--mode retained`"],
+  mode: ["MEMORY_MODE", "mode", "what `memory` measures: heap (default), retained, allocation or rss"],
+  replicate: ["REPLICATE", "n", "copies of each fixture parsed as one source in `memory --mode rss`, repeatable (default 1,10)"],
+  "memory-limit-max": ["MEMORY_LIMIT_MAX", "MiB", "largest --max-old-space-size tried in `memory --mode rss` (default 4096)"],
+  trials: ["TRIALS", "n", "trials per parser and fixture in `memory --mode retained` (default 5)"],
+  duration: ["SOAK_DURATION", "seconds", "how long `soak` parses per parser (default 60)"],
+  "soak-iterations": ["SOAK_ITERATIONS", "n", "parses per parser in `soak`, instead of a duration"],
+  "gc-every": ["SOAK_GC_EVERY", "n", "parses between forced GCs in `soak` (default: all fixtures that parse)"],
+  "heap-tolerance": ["SOAK_HEAP_TOLERANCE", "MiB", "fitted heap growth over a `soak` run that flags a leak (default 1)"],
+  "time-tolerance": ["SOAK_TIME_TOLERANCE", "percent", "fitted parse time growth over a `soak` run that flags a slowdown (default 10)"],
+  "leakage-iterations": ["LEAKAGE_ITERATIONS", "n", "parses of each fixture in a `leakage` sequence (default 5)"],
+  "profile-iterations": ["PROFILE_ITERATIONS", "n", "profiled parses per parser and fixture in `profile` (default 100)"],
+  "sampling-interval": ["PROFILE_SAMPLING_INTERVAL", "us", "microseconds between CPU profile samples in `profile` (default 1000)"],
+  "profile-warmup": ["PROFILE_WARMUP", "n", "unprofiled parses before the profile starts in `profile` (default 5)"],
+  "profile-dir": ["PROFILE_DIR", "dir", "directory of .cpuprofile and .heapprofile files (default ./cpuprofile)"],
+  "heap-sampling-interval": ["HEAP_SAMPLING_INTERVAL", "bytes", "bytes between samples in `memory --mode allocation` (default 32768)"],
+  "heap-profile": ["HEAP_PROFILE", null, "save a .heapprofile per parser and fixture in `memory --mode allocation`"],
+  "allocation-top": ["ALLOCATION_TOP", "n", "functions listed per parser and fixture in `memory --mode allocation` (default 10)"],
+  "heap-top": ["HEAP_TOP", "n", "constructors listed per parser and fixture in `heap` (default 15)"],
+  "warmup-iterations": ["WARMUP_ITERATIONS", "n", "parses per parser and fixture in `warmup` (default 100)"],
+  baseline: ["BASELINE", "name", "parser to compare the others against"],
+  alpha: ["ALPHA", "p", "significance level of comparisons (default 0.05)"],
+  tolerance: ["TOLERANCE", "percent", "exit 1 on significant slowdowns over this"],
+  reference: ["ESTREE_REFERENCE", "name", "parser the others are diffed against in `estree`"],
+  "ast-diff-limit": ["AST_DIFF_LIMIT", "n", "AST differences printed per fixture (default 5)"],
+  "shapes-all": ["SHAPES_ALL", null, "list every node type in `shapes`, not only those with several maps"],
+  "no-ast-check": ["AST_CHECK", null, "time dev builds even if their AST differs from babel"],
+  isolate: ["ISOLATE", null, "time every parser and fixture in a fresh process"],
+  order: ["ORDER", "order", "sequential (default) or interleaved samples of all parsers"],
+  seed: ["SEED", "n", "seed of the interleaved order, to repeat a run"],
+  rounds: ["ROUNDS", "n", "samples per parser with --order interleaved (default 100)"],
+  format: ["OUTPUT", "formats", "results files to write: json,csv or table (none)"],
+  "results-dir": ["RESULTS_DIR", "dir", "directory of results files (default ./results)"],
+  "update-manifest": ["UPDATE_MANIFEST", null, "rehash fixtures into fixtures/manifest.json"],
+  config: ["PARSER_PERF_CONFIG", "file", "config file (default ./.parserperfrc)"],
+};
+
+const aliases = { f: "fixture", p: "parser", a: "all", b: "baseline", h: "help" };
+
+const repeatable = ["fixture", "tag", "parser", "babel-parser-path", "ref", "format", "replicate"];
+
+// these are resolved against the current directory instead of the repository root
+const pathFlags = ["babel-parser-path", "babel-repo", "build-cache-dir", "results-dir", "profile-dir", "config"];
+
+function help() {
+  const lines = ["Usage: parser-perf <command> [options]", "", "Commands:"];
+  for (const name of Object.keys(commands)) {
+    lines.push(`  ${name.padEnd(28)}${commands[name].description}`);
+  }
+  lines.push("", "Options:");
+  for (const name of Object.keys(flags)) {
+    const [env, value, description] = flags[name];
+    const alias = Object.keys(aliases).find(a => aliases[a] === name);
+    const flag = `${alias ? `-${alias}, ` : ""}--${name}${value ? ` <${value}>` : ""}`;
+    lines.push(`  ${flag.padEnd(28)}${description} [${env}]`);
+  }
+  lines.push(`  ${"-h, --help".padEnd(28)}show this help`);
+  lines.push(
+    "",
+    "Each option can also be given as the environment variable in brackets.",
+    "",
+    "Examples:",
+    "  parser-perf time --fixture ember --parser babel,dev",
+    "  parser-perf compare --fixture 'es6/*' --tolerance 3",
+    "  parser-perf refs --babel-repo ../babel --ref main --ref my-branch --fixture ember",
+    "  parser-perf bisect --good v7.6.0 --bad main --fixture ember --tolerance 2",
+    "  parser-perf memory --all --iterations 10"
+  );
+  return lines.join("\n");
+}
+
+function fail(message) {
+  console.error(`${message}\n\n${help()}`);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-")) {
+      positionals.push(arg);
+      continue;
+    }
+    let [name, value] = arg.replace(/^--?/, "").split(/=(.*)/);
+    name = aliases[name] || name;
+    if (name === "help") {
+      options.help = true;
+      continue;
+    }
+    if (!flags[name]) {
+      fail(`Unknown option: ${arg}`);
+    }
+    if (!flags[name][1]) {
+      options[name] = name.startsWith("no-") ? "0" : "1";
+      continue;
+    }
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) fail(`Missing value for --${name}`);
+    }
+    if (pathFlags.includes(name)) {
+      // keep the `dev:main=` label of babel-parser builds
+      value = value.replace(/^((?:[\w:-]+=)?)(.*)$/, (_, label, file) => label + path.resolve(file));
+    }
+    options[name] =
+      repeatable.includes(name) && options[name] ? `${options[name]},${value}` : value;
+  }
+  return { options, positionals };
+}
+
+const { options, positionals } = parseArgs(process.argv.slice(2));
+
+if (options.help) {
+  console.log(help());
+  process.exit(0);
+}
+
+const [commandName = "time", ...rest] = positionals;
+const command = commands[commandName];
+if (!command) {
+  fail(`Unknown command: ${commandName}`);
+}
+if (rest.length) {
+  fail(`Unexpected argument: ${rest[0]}`);
+}
+
+const env = { ...command.env, ...process.env };
+for (const name of Object.keys(options)) {
+  env[flags[name][0]] = options[name];
+}
+
+// commands' own flags, a function when they depend on the options
+const commandFlags = typeof command.nodeFlags === "function" ? command.nodeFlags(env) : command.nodeFlags || [];
+
+const { status, signal } = spawnSync(
+  process.execPath,
+  [...nodeFlags, ...commandFlags, command.script],
+  { cwd: root, env, stdio: "inherit" }
+);
+if (signal) {
+  console.error(`parser-perf ${commandName} was killed by ${signal}`);
+}
+process.exit(status === null ? 1 : status);
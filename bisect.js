@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawnSync } = require("child_process");
+const Table = require("cli-table");
+const { files } = require("./config");
+const { buildParser, resolveCommit } = require("./build");
+const { formatComparison } = require("./util");
+
+const repo = path.resolve(process.env.BABEL_REPO || "../babel");
+const { GOOD: good, BAD: bad } = process.env;
+// a commit is bad when it is significantly slower than GOOD by more than this
+const tolerance = process.env.TOLERANCE || "1";
+
+if (!good || !bad) {
+  console.error("Pass the last known good and the first known bad commit, e.g. GOOD=v7.6.0 BAD=main");
+  process.exit(2);
+}
+if (files.length !== 1) {
+  console.error(`Select exactly one fixture with FILE to bisect on, ${files.length} match.`);
+  process.exit(2);
+}
+
+function git(args) {
+  return execFileSync("git", args, { cwd: repo, encoding: "utf-8" }).trim();
+}
+
+/**
+ * Times the build of `commit` against the GOOD build on the fixture, returns
+ * the comparison and whether it is a regression over the tolerance.
+ */
+function measure(goodBuild, commit) {
+  const build = buildParser(repo, commit);
+  const resultsDir = fs.mkdtempSync(path.join(os.tmpdir(), "parser-perf-bisect-"));
+  try {
+    // stderr is kept for the error message when the run fails before writing results
+    const { status, stderr } = spawnSync(process.execPath, [...process.execArgv, "index.js"], {
+      env: {
+        ...process.env,
+        BABEL_PARSER_PATH: `dev:good=${goodBuild.path},dev:test=${build.path}`,
+        PARSER: "dev",
+        BASELINE: "dev:good",
+        TOLERANCE: tolerance,
+        RESULTS_DIR: resultsDir,
+        OUTPUT: "json",
+      },
+      stdio: ["inherit", "inherit", "pipe"],
+      encoding: "utf-8",
+    });
+    process.stderr.write(stderr);
+    // exit code 1 is also a regression, but then the results were written
+    const [file] = fs.readdirSync(resultsDir).filter(name => name.endsWith(".json"));
+    if ((status !== 0 && status !== 1) || !file) {
+      throw new Error(`Timing ${commit} failed with exit code ${status}:\n${stderr.trim()}`);
+    }
+    const results = JSON.parse(fs.readFileSync(path.join(resultsDir, file), "utf-8"));
+    const comparison = results.comparisons.find(c => c.parser === "dev:test");
+    if (!comparison) {
+      throw new Error(`No timing for ${commit}, see the errors above.`);
+    }
+    return { sha: build.sha, comparison, regression: results.regressions.length > 0 };
+  } finally {
+    // fs.rmSync needs Node 14.14
+    if (fs.existsSync(resultsDir)) fs.rmdirSync(resultsDir, { recursive: true });
+  }
+}
+
+const goodSha = resolveCommit(repo, good);
+const badSha = resolveCommit(repo, bad);
+const commits = git(["rev-list", "--reverse", "--first-parent", "--ancestry-path", `${goodSha}..${badSha}`])
+  .split("\n")
+  .filter(Boolean);
+if (!commits.length) {
+  console.error(`${bad} is not a descendant of ${good}.`);
+  process.exit(2);
+}
+
+const goodBuild = buildParser(repo, goodSha);
+const steps = [];
+
+function test(index) {
+  const sha = commits[index];
+  console.log(`Bisecting: testing ${sha.slice(0, 7)} (${git(["log", "-1", "--format=%s", sha])})`);
+  const step = measure(goodBuild, sha);
+  steps.push(step);
+  return step.regression;
+}
+
+function printSteps() {
+  const table = new Table({
+    head: ["commit", `vs ${good}`, "result"],
+    style: {
+      head: ["bold"]
+    }
+  });
+  for (const { sha, comparison, regression } of steps) {
+    table.push([sha.slice(0, 7), formatComparison(comparison), regression ? "bad" : "good"]);
+  }
+  console.log(table.toString());
+}
+
+// make sure there is a regression to find before building the midpoints
+if (!test(commits.length - 1)) {
+  printSteps();
+  console.error(`${bad} is not significantly more than ${tolerance}% slower than ${good} on ${files[0]}.`);
+  process.exit(1);
+}
+
+let lo = -1; // index of the last good commit, -1 is GOOD itself
+let hi = commits.length - 1; // index of the first bad commit
+while (hi - lo > 1) {
+  const mid = Math.floor((lo + hi) / 2);
+  if (test(mid)) {
+    hi = mid;
+  } else {
+    lo = mid;
+  }
+}
+
+printSteps();
+const first = commits[hi];
+console.log(`First commit that made ${files[0]} more than ${tolerance}% slower:`);
+console.log(git(["log", "-1", "--format=%H%n%an <%ae>%n%ad%n%n    %s", first]));
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawnSync } = require("child_process");
+
+const cacheDir = process.env.BUILD_CACHE_DIR || "./.cache/babel-parser";
+
+function git(repo, args) {
+  return execFileSync("git", args, {
+    cwd: repo,
+    encoding: "utf-8",
+    stdio: ["ignore", "pipe", "pipe"],
+  }).trim();
+}
+
+function copyDir(from, to) {
+  fs.mkdirSync(to, { recursive: true });
+  for (const entry of fs.readdirSync(from, { withFileTypes: true })) {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+    if (entry.isDirectory()) {
+      copyDir(source, target);
+    } else {
+      fs.copyFileSync(source, target);
+    }
+  }
+}
+
+exports.resolveCommit = function resolveCommit(repo, ref) {
+  try {
+    return git(repo, ["rev-parse", "--verify", `${ref}^{commit}`]);
+  } catch (e) {
+    throw new Error(`${ref} is not a commit in ${repo}: ${e.stderr.trim()}`);
+  }
+};
+
+function build(repo, sha, target) {
+  const worktree = fs.mkdtempSync(path.join(os.tmpdir(), `parser-perf-${sha.slice(0, 7)}-`));
+  git(repo, ["worktree", "add", "--detach", worktree, sha]);
+  try {
+    // reuse the dependencies of the main checkout so building needs no network
+    fs.symlinkSync(path.join(repo, "node_modules"), path.join(worktree, "node_modules"), "dir");
+    const { status } = spawnSync(
+      path.join(worktree, "node_modules", ".bin", "gulp"),
+      ["build-rollup"],
+      {
+        cwd: worktree,
+        env: { ...process.env, NODE_ENV: "production", BABEL_ENV: "production" },
+        stdio: "inherit",
+      }
+    );
+    if (status !== 0) {
+      throw new Error(`Building babel-parser at ${sha} failed, see the output above.`);
+    }
+    const parserDir = path.join(worktree, "packages", "babel-parser");
+    copyDir(path.join(parserDir, "lib"), path.join(target, "lib"));
+    fs.copyFileSync(path.join(parserDir, "package.json"), path.join(target, "package.json"));
+  } finally {
+    git(repo, ["worktree", "remove", "--force", worktree]);
+  }
+}
+
+/**
+ * Builds babel-parser at `ref` of the local babel checkout `repo` with the
+ * production rollup build, in a temporary git worktree. Builds are cached by
+ * commit in BUILD_CACHE_DIR, which also records the ref and commit in a
+ * `build.json` next to the build's package.json.
+ */
+exports.buildParser = function buildParser(repo, ref) {
+  repo = path.resolve(repo);
+  const sha = exports.resolveCommit(repo, ref);
+  const target = path.resolve(cacheDir, sha);
+  const info = path.join(target, "build.json");
+  if (fs.existsSync(info)) {
+    console.log(`Using cached babel-parser build of ${ref} (${sha.slice(0, 7)})`);
+    return { ...JSON.parse(fs.readFileSync(info, "utf-8")), ref, path: target };
+  }
+
+  console.log(`Building babel-parser at ${ref} (${sha.slice(0, 7)}) ...`);
+  const tmp = `${target}.tmp`;
+  // fs.rmSync needs Node 14.14
+  if (fs.existsSync(tmp)) fs.rmdirSync(tmp, { recursive: true });
+  build(repo, sha, tmp);
+  fs.writeFileSync(
+    path.join(tmp, "build.json"),
+    JSON.stringify({ repo, ref, sha, date: new Date().toISOString() }, null, 2)
+  );
+  fs.renameSync(tmp, target);
+  return { repo, ref, sha, path: target };
+};
@@ -1,51 +1,113 @@
-const babelDevPath = process.env.BABEL_PARSER_PATH || "../babel/packages/babel-parser";
-
-const babelParse = require("@babel/parser").parse;
-const babelDevParse = require(babelDevPath).parse;
-const acornParse = require("acorn").parse;
-const esprimaParse = require("esprima").parse;
-const meriyahParse = require("meriyah").parseModule;
-
-exports.files = [
-  "./fixtures/es5/angular.js",
-  "./fixtures/es5/ember.debug.js",
-  "./fixtures/es5/babylon-dist.js",
-  "./fixtures/es5/jquery.js",
-  "./fixtures/es5/backbone.js",
-  "./fixtures/es5/react-with-addons.js",
-  "./fixtures/es6/angular-compiler.js",
-  "./fixtures/es6/material-ui-core.js",
-].filter(file => {
-  return !process.env.FILE || file.includes(process.env.FILE)
-});
+const { matchFixture } = require("./util");
+const { loadUserConfig } = require("./user-config");
+const { discoverFixtures, fixtureMetadata, verifyFixtures } = require("./fixtures");
 
-exports.benchmarkOptions = {
-  minSamples: 16000
-};
+const babelDevPath = "../babel/packages/babel-parser";
 
-const parsers = {
-  acorn: {
-    parse: acornParse,
-    options: { sourceType: "module", locations: true }
-  },
-  babel: {
-    parse: babelParse,
-    options: { sourceType: "module" }
+const defaults = {
+  files: discoverFixtures(),
+  benchmarkOptions: {
+    minSamples: 16000
   },
-  dev: {
-    parse: babelDevParse,
-    options: { sourceType: "module" }
+  iterations: 5,
+  // ORDER=interleaved takes `rounds` samples of at least `minSampleTime` seconds per parser,
+  // after warming up each parser until its samples settle, for at most `maxWarmupTime` seconds
+  interleave: {
+    rounds: 100,
+    minSampleTime: 0.01,
+    maxWarmupTime: 5
   },
-  esprima: {
-    parse: esprimaParse,
-    options: { sourceType: "module", loc: true, comment: true, attachComment: true }
+  select: ["dev"],
+  compare: {
+    baseline: null,
+    alpha: 0.05,
+    // maximum slowdown against the baseline in percent, e.g. TOLERANCE=3
+    tolerance: null,
   },
-  meriyah: {
-    parse: meriyahParse,
-    options: { loc: true }
+  parsers: {
+    acorn: {
+      module: "acorn",
+      method: "parse",
+      options: { sourceType: "module", locations: true }
+    },
+    babel: {
+      module: "@babel/parser",
+      method: "parse",
+      options: { sourceType: "module", plugins: [] }
+    },
+    dev: {
+      module: babelDevPath,
+      method: "parse",
+      options: { sourceType: "module", plugins: [] }
+    },
+    esprima: {
+      module: "esprima",
+      method: "parse",
+      options: { sourceType: "module", loc: true, comment: true, attachComment: true }
+    },
+    meriyah: {
+      module: "meriyah",
+      method: "parse",
+      options: { module: true, loc: true }
+    },
   },
 };
 
+// BABEL_PARSER_PATH is a single path, or labelled builds: dev:main=path,dev:pr=path
+function devBuilds(value) {
+  const entries = value.split(",");
+  if (entries.length === 1 && !entries[0].includes("=")) {
+    return { dev: entries[0] };
+  }
+  const builds = {};
+  for (const entry of entries) {
+    const index = entry.indexOf("=");
+    if (index === -1) {
+      throw new Error(`Label every build in BABEL_PARSER_PATH, e.g. dev:main=${entry}`);
+    }
+    builds[`dev:${entry.slice(0, index).replace(/^dev:/, "")}`] = entry.slice(index + 1);
+  }
+  return builds;
+}
+
+const config = loadUserConfig(defaults);
+const parsers = {};
+
+for (const name of Object.keys(config.parsers)) {
+  if (name === "dev" && process.env.BABEL_PARSER_PATH) {
+    const builds = devBuilds(process.env.BABEL_PARSER_PATH);
+    for (const build of Object.keys(builds)) {
+      parsers[build] = { ...config.parsers.dev, module: builds[build] };
+    }
+  } else {
+    parsers[name] = config.parsers[name];
+  }
+}
+
+exports.configFile = config.configFile;
+
+exports.files = config.files.filter(file => {
+  return !process.env.FILE || matchFixture(file, process.env.FILE.split(","));
+});
+
+exports.fixtures = fixtureMetadata(exports.files);
+
+if (process.env.TAG) {
+  const tags = process.env.TAG.split(",");
+  exports.files = exports.files.filter(file => {
+    return (exports.fixtures[file].tags || []).some(tag => tags.includes(tag));
+  });
+}
+
+verifyFixtures(exports.fixtures);
+
+exports.benchmarkOptions = {
+  ...config.benchmarkOptions,
+  ...(process.env.MIN_SAMPLES && { minSamples: Number(process.env.MIN_SAMPLES) }),
+};
+
+exports.iterations = process.env.ITERATIONS ? Number(process.env.ITERATIONS) : config.iterations;
+
 const parserSelection = (function () {
   if (process.env.PARSER_ALL) {
     return Object.keys(parsers);
@@ -53,13 +115,41 @@ const parserSelection = (function () {
   if (process.env.PARSER) {
     return process.env.PARSER.split(",");
   } else {
-    return ["dev"];
+    return config.select;
   }
 })();
 
+exports.allParsers = parsers;
+
+// `dev` selects every dev build, `dev:main` a single one
 exports.parsers = Object.keys(parsers).filter(key => {
-  return parserSelection.includes(key);
+  return parserSelection.includes(key) || (key.startsWith("dev:") && parserSelection.includes("dev"));
 }).reduce((p, key) => {
   p[key] = parsers[key];
   return p;
 }, {});
+
+// compare the ASTs of babel and dev builds before timing them
+exports.astCheck = process.env.AST_CHECK !== "0";
+
+// time every parser and fixture in a fresh process with the same V8 flags
+exports.isolate = process.env.ISOLATE === "1";
+
+// "sequential" runs each parser's Benchmark.js cycle after the other,
+// "interleaved" alternates their samples in a random order from SEED
+exports.order = process.env.ORDER || "sequential";
+if (!["sequential", "interleaved"].includes(exports.order)) {
+  throw new Error(`Unknown ORDER "${exports.order}", use "sequential" or "interleaved".`);
+}
+
+exports.interleaveOptions = {
+  ...config.interleave,
+  ...(process.env.ROUNDS && { rounds: Number(process.env.ROUNDS) }),
+  seed: process.env.SEED ? Number(process.env.SEED) : Math.floor(Math.random() * 2 ** 32),
+};
+
+exports.compareOptions = {
+  baseline: process.env.BASELINE || config.compare.baseline,
+  alpha: process.env.ALPHA ? Number(process.env.ALPHA) : config.compare.alpha,
+  tolerance: process.env.TOLERANCE ? Number(process.env.TOLERANCE) : config.compare.tolerance,
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { diffAST, formatDiffs } = require("./ast-diff");
+
+const limit = process.env.AST_DIFF_LIMIT ? Number(process.env.AST_DIFF_LIMIT) : 5;
+// disagreements counted per parser and fixture, printed are only the first `limit`
+const countLimit = 10000;
+
+// positions, comments, tokens and raw source differ between parsers without
+// changing the tree, `loc` is compared as line and column only
+const ignoredKeys = new Set([
+  "start",
+  "end",
+  "range",
+  "extra",
+  "raw",
+  "comments",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+  "tokens",
+  "errors",
+]);
+
+// legacy or non-ESTree properties some parsers add with their default value
+function isExtension(node, key) {
+  switch (key) {
+    case "interpreter": // babel's #! line
+      return node[key] === null;
+    case "each": // esprima's `for each`
+      return node[key] === false;
+    case "expression": // acorn's `expression` on every function, not only arrows
+      return typeof node[key] === "boolean" && node.type !== "ArrowFunctionExpression";
+    default:
+      return false;
+  }
+}
+
+function normalizeLoc(loc) {
+  return {
+    start: { line: loc.start.line, column: loc.start.column },
+    end: { line: loc.end.line, column: loc.end.column },
+  };
+}
+
+/**
+ * Converts any parser's AST to plain ESTree objects that can be compared:
+ * babel's `File` is unwrapped to its `Program` (babel is parsed with its
+ * `estree` plugin), parser specific properties and extensions are dropped
+ * and regexp and bigint literals are compared by `regex` and `bigint`.
+ */
+function normalize(node) {
+  if (Array.isArray(node)) {
+    return node.map(normalize);
+  }
+  if (node === null || typeof node !== "object") {
+    return node;
+  }
+  if (node.type === "File" && node.program) {
+    return normalize(node.program);
+  }
+  const result = {};
+  for (const key of Object.keys(node)) {
+    if (ignoredKeys.has(key) || isExtension(node, key)) continue;
+    if (key === "loc") {
+      result.loc = node.loc && normalizeLoc(node.loc);
+    } else if (key === "value" && node.type === "Literal" && (node.regex || node.bigint)) {
+      continue;
+    } else {
+      result[key] = normalize(node[key]);
+    }
+  }
+  return result;
+}
+
+function estreeOptions(parser, fixture) {
+  const options = fixtureOptions(parser.options, fixture);
+  if (options.plugins && !options.plugins.includes("estree")) {
+    options.plugins = options.plugins.concat("estree");
+  }
+  return options;
+}
+
+function categorize(path) {
+  if (/(^|\.)type$/.test(path)) return "types";
+  if (/(^|\.)loc(\.|$)/.test(path)) return "locations";
+  if (/(^|\.)(value|regex|bigint|name|operator)(\.|$)/.test(path)) return "values";
+  return "other";
+}
+
+const loaded = loadParsers(selectedParsers);
+const { parsers, unavailable } = loaded;
+printLoadReport(loaded);
+
+const reference = process.env.ESTREE_REFERENCE || Object.keys(parsers)[0];
+if (!parsers[reference]) {
+  console.error(`Reference parser ${reference} is not selected or unavailable.`);
+  process.exit(2);
+}
+
+const results = createResults("estree", { parsers, unavailable, files, fixtures, reference, configFile });
+
+const table = new Table({
+  head: ["fixture"].concat(Object.keys(parsers).filter(i => i !== reference).map(i => `${i} vs ${reference}`)),
+  style: {
+    head: ["bold"]
+  }
+});
+
+function parseNormalized(i, code, file) {
+  try {
+    return { ast: normalize(parsers[i].parse(code, estreeOptions(parsers[i], fixtures[file]))) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+for (const file of files) {
+  const name = fixtureName(file);
+  const code = fs.readFileSync(file, "utf-8");
+  const row = [name];
+  const expected = parseNormalized(reference, code, file);
+  if (expected.error) {
+    console.error(`${name}: reference parser ${reference} failed: ${expected.error}`);
+  }
+  for (let i in parsers) {
+    if (i === reference) continue;
+    if (expected.error) {
+      row.push("n/a");
+      continue;
+    }
+    const actual = parseNormalized(i, code, file);
+    if (actual.error) {
+      results.errors.push({ fixture: name, parser: i, error: actual.error });
+      row.push(`error: ${actual.error}`);
+      continue;
+    }
+    const diffs = diffAST(expected.ast, actual.ast, { limit: countLimit });
+    const counts = { types: 0, locations: 0, values: 0, other: 0 };
+    for (const { path } of diffs) {
+      counts[categorize(path)]++;
+    }
+    results.results.push({ fixture: name, parser: i, reference, differences: diffs.length, ...counts });
+    if (!diffs.length) {
+      row.push("same");
+      continue;
+    }
+    const more = diffs.length >= countLimit ? "+" : "";
+    row.push(
+      Object.keys(counts)
+        .filter(key => counts[key])
+        .map(key => `${counts[key]}${more} ${key}`)
+        .join(", ")
+    );
+    console.log(`${name}: ${i} disagrees with ${reference}, first differences:`);
+    console.log(formatDiffs(diffs.slice(0, limit), reference, i).join("\n"));
+  }
+  table.push(row);
+}
+
+console.log(table.toString());
+writeResults(results);
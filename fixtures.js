@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const fixturesDir = "./fixtures";
+const manifestPath = path.join(fixturesDir, "manifest.json");
+
+function walk(dir) {
+  let files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files = files.concat(walk(file));
+    } else if (entry.name.endsWith(".js")) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// "./fixtures/es5/jquery.js" => "es5/jquery.js", the key in the manifest
+function fixtureName(file) {
+  return file.replace(/^\.\/fixtures\//, "");
+}
+
+function hashFile(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+function readManifest() {
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf-8")) : {};
+}
+
+exports.fixtureName = fixtureName;
+
+exports.discoverFixtures = function discoverFixtures() {
+  return walk(fixturesDir).sort();
+};
+
+/**
+ * Metadata of each file from `fixtures/manifest.json`, files without an entry
+ * get their tags from the directory they are in.
+ */
+exports.fixtureMetadata = function fixtureMetadata(files) {
+  const manifest = readManifest();
+  const metadata = {};
+  for (const file of files) {
+    const name = fixtureName(file);
+    metadata[file] = manifest[name] || { tags: [name.split("/")[0]] };
+  }
+  return metadata;
+};
+
+/**
+ * Throws when a fixture doesn't match its hash in the manifest, and warns
+ * about fixtures without one, since nothing tells when those change.
+ */
+exports.verifyFixtures = function verifyFixtures(metadata) {
+  const unverified = Object.keys(metadata).filter(file => !metadata[file].sha256);
+  // isolated children load the same config, the parent already warned
+  if (unverified.length && !process.env.PARSER_PERF_CELL) {
+    console.warn(
+      `WARNING: these fixtures have no sha256 in ${manifestPath}, changes to them go unnoticed:\n` +
+        unverified.map(file => `  ${file}\n`).join("") +
+        "Run `parser-perf fixtures --update-manifest` to add them."
+    );
+  }
+  const modified = Object.keys(metadata).filter(file => {
+    return metadata[file].sha256 && metadata[file].sha256 !== hashFile(file);
+  });
+  if (modified.length) {
+    throw new Error(
+      `These fixtures don't match their sha256 in ${manifestPath}:\n` +
+        modified.map(file => `  ${file}\n`).join("") +
+        "Restore them, or run `parser-perf fixtures --update-manifest` if the change is intended."
+    );
+  }
+};
+
+// adds a sha256 to the manifest for every discovered fixture
+exports.updateManifest = function updateManifest() {
+  const manifest = readManifest();
+  for (const file of exports.discoverFixtures()) {
+    const name = fixtureName(file);
+    manifest[name] = {
+      ...(manifest[name] || { tags: [name.split("/")[0]] }),
+      sha256: hashFile(file),
+    };
+  }
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+};
+
+/**
+ * Applies the fixture's `sourceType` and parser `plugins` to the options
+ * of parsers that have such an option.
+ */
+exports.fixtureOptions = function fixtureOptions(options, fixture) {
+  const { sourceType, plugins } = fixture;
+  // parsers in a user config may have no options at all
+  options = options || {};
+  const result = { ...options };
+  if (sourceType && "sourceType" in options) {
+    result.sourceType = sourceType;
+  }
+  if (sourceType && "module" in options) {
+    result.module = sourceType === "module";
+  }
+  if (plugins && "plugins" in options) {
+    result.plugins = options.plugins.concat(plugins.filter(p => !options.plugins.includes(p)));
+  }
+  return result;
+};
+
+if (require.main === module) {
+  const Table = require("cli-table");
+  if (process.env.UPDATE_MANIFEST) {
+    exports.updateManifest();
+    console.log(`Updated ${manifestPath}`);
+  }
+  const files = exports.discoverFixtures();
+  const metadata = exports.fixtureMetadata(files);
+  const table = new Table({
+    head: ["fixture", "library", "license", "sourceType", "plugins", "tags", "sha256"],
+    style: {
+      head: ["bold"]
+    }
+  });
+  for (const file of files) {
+    const { library, version, license, sourceType, plugins, tags, sha256 } = metadata[file];
+    let hash = "not in manifest";
+    if (sha256) {
+      hash = sha256 === hashFile(file) ? "ok" : "MODIFIED";
+    }
+    table.push([
+      fixtureName(file),
+      library ? `${library}${version ? `@${version}` : ""}` : "",
+      license || "",
+      sourceType || "",
+      (plugins || []).join(","),
+      (tags || []).join(","),
+      hash,
+    ]);
+  }
+  console.log(table.toString());
+}
@@ -0,0 +1,97 @@
+const v8 = require("v8");
+const { PerformanceObserver, performance, constants } = require("perf_hooks");
+const { mib } = require("./util");
+
+const kinds = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: "scavenges",
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: "markCompacts",
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: "weakCallbacks",
+};
+
+// bytes used per space, with both large-object spaces together
+function spaceSizes() {
+  const sizes = { new: 0, old: 0, largeObject: 0 };
+  for (const { space_name, space_used_size } of v8.getHeapSpaceStatistics()) {
+    if (space_name === "new_space") sizes.new += space_used_size;
+    else if (space_name === "old_space") sizes.old += space_used_size;
+    else if (space_name === "large_object_space" || space_name === "new_large_object_space") {
+      sizes.largeObject += space_used_size;
+    }
+  }
+  return sizes;
+}
+
+/**
+ * Attributes the GCs V8 runs to the cells they happen in. Every cell is
+ * measured between `start(name)` and `stop(name)`, possibly several times,
+ * and `collect()` resolves with the number of scavenges and mark-compacts,
+ * their total pause time and how much each heap space grew per cell.
+ * GCs forced with `global.gc()` don't count.
+ *
+ * `gc` entries are only delivered once the event loop turns, so `collect()`
+ * has to be awaited after the measured code ran.
+ */
+exports.createGCTracker = function createGCTracker() {
+  const entries = [];
+  const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+  observer.observe({ entryTypes: ["gc"] });
+  let cells = {};
+  let open = null;
+
+  return {
+    start(name) {
+      if (!cells[name]) {
+        cells[name] = { windows: [], growth: { new: 0, old: 0, largeObject: 0 } };
+      }
+      open = { name, start: performance.now(), spaces: spaceSizes() };
+    },
+    stop(name) {
+      const end = performance.now();
+      const after = spaceSizes();
+      const cell = cells[name];
+      cell.windows.push([open.start, end]);
+      for (const space of Object.keys(after)) {
+        cell.growth[space] += after[space] - open.spaces[space];
+      }
+      open = null;
+    },
+    async collect() {
+      await new Promise(resolve => setImmediate(resolve));
+      // Node < 16 has no takeRecords(), the callback got every entry by now
+      if (observer.takeRecords) entries.push(...observer.takeRecords());
+      const stats = {};
+      for (const name of Object.keys(cells)) {
+        const { windows, growth } = cells[name];
+        const result = { scavenges: 0, markCompacts: 0, incremental: 0, weakCallbacks: 0, pause: 0, growth };
+        for (const entry of entries) {
+          // Node < 16 has kind and flags on the entry itself, Node < 13.9 no flags
+          const { kind, flags = 0 } = entry.detail || entry;
+          if (flags & constants.NODE_PERFORMANCE_GC_FLAGS_FORCED) continue;
+          if (!windows.some(([start, end]) => entry.startTime >= start && entry.startTime < end)) continue;
+          result[kinds[kind]]++;
+          result.pause += entry.duration;
+        }
+        const duration = windows.reduce((sum, [start, end]) => sum + end - start, 0);
+        result.pauseShare = duration ? result.pause / duration : 0;
+        stats[name] = result;
+      }
+      entries.length = 0;
+      cells = {};
+      return stats;
+    },
+    disconnect() {
+      observer.disconnect();
+    },
+  };
+};
+
+const signed = bytes => `${bytes < 0 ? "-" : "+"}${mib(Math.abs(bytes))}`;
+
+exports.formatGC = function formatGC({ scavenges, markCompacts, pause, pauseShare, growth }) {
+  return (
+    `GC: ${scavenges} scavenges, ${markCompacts} mark-compacts, ` +
+    `${Math.round(pause)}ms (${Math.round(pauseShare * 1000) / 10}%)\n` +
+    `new ${signed(growth.new)} old ${signed(growth.old)} lo ${signed(growth.largeObject)}`
+  );
+};
@@ -0,0 +1,314 @@
+const v8 = require("v8");
+
+/**
+ * Takes a heap snapshot of this process with `v8.getHeapSnapshot()` and
+ * parses it into flat arrays: node `i` has its edges from `firstEdge[i]` to
+ * `firstEdge[i + 1]`, and edge `e` points to node `edgeTargets[e]`.
+ */
+function takeSnapshot() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = v8.getHeapSnapshot();
+    stream.setEncoding("utf-8");
+    stream.on("data", chunk => chunks.push(chunk));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(parseSnapshot(JSON.parse(chunks.join("")))));
+  });
+}
+
+function parseSnapshot({ snapshot, nodes, edges, strings }) {
+  const { node_fields: nodeFields, node_types: nodeTypes, edge_fields: edgeFields, edge_types: edgeTypes } = snapshot.meta;
+  const nodeFieldCount = nodeFields.length;
+  const edgeFieldCount = edgeFields.length;
+  const nodeCount = nodes.length / nodeFieldCount;
+  const edgeCount = edges.length / edgeFieldCount;
+
+  const graph = {
+    nodeCount,
+    nodeTypeNames: nodeTypes[0],
+    edgeTypeNames: edgeTypes[0],
+    strings,
+    types: new Uint8Array(nodeCount),
+    names: new Uint32Array(nodeCount),
+    selfSizes: new Float64Array(nodeCount),
+    firstEdge: new Uint32Array(nodeCount + 1),
+    edgeTypes: new Uint8Array(edgeCount),
+    edgeNames: new Uint32Array(edgeCount),
+    edgeTargets: new Uint32Array(edgeCount),
+  };
+  const typeField = nodeFields.indexOf("type");
+  const nameField = nodeFields.indexOf("name");
+  const sizeField = nodeFields.indexOf("self_size");
+  const edgeCountField = nodeFields.indexOf("edge_count");
+  let edge = 0;
+  for (let i = 0; i < nodeCount; i++) {
+    const offset = i * nodeFieldCount;
+    graph.types[i] = nodes[offset + typeField];
+    graph.names[i] = nodes[offset + nameField];
+    graph.selfSizes[i] = nodes[offset + sizeField];
+    graph.firstEdge[i] = edge;
+    edge += nodes[offset + edgeCountField];
+  }
+  graph.firstEdge[nodeCount] = edge;
+
+  const edgeTypeField = edgeFields.indexOf("type");
+  const edgeNameField = edgeFields.indexOf("name_or_index");
+  const toNodeField = edgeFields.indexOf("to_node");
+  for (let e = 0; e < edgeCount; e++) {
+    const offset = e * edgeFieldCount;
+    graph.edgeTypes[e] = edges[offset + edgeTypeField];
+    graph.edgeNames[e] = edges[offset + edgeNameField];
+    graph.edgeTargets[e] = edges[offset + toNodeField] / nodeFieldCount;
+  }
+  return graph;
+}
+
+const nodeType = (graph, i) => graph.nodeTypeNames[graph.types[i]];
+const nodeName = (graph, i) => graph.strings[graph.names[i]];
+const edgeType = (graph, e) => graph.edgeTypeNames[graph.edgeTypes[e]];
+
+// element and hidden edges are named by index, the others by a string
+function edgeName(graph, e) {
+  const type = edgeType(graph, e);
+  return type === "element" || type === "hidden" ? graph.edgeNames[e] : graph.strings[graph.edgeNames[e]];
+}
+
+// weak edges don't retain, shortcuts duplicate other edges
+function isStrong(graph, e) {
+  const type = edgeType(graph, e);
+  return type !== "weak" && type !== "shortcut";
+}
+
+// JS objects by constructor name, everything else (strings, arrays' backing stores, ...) by type
+function constructorName(graph, i) {
+  const type = nodeType(graph, i);
+  return type === "object" ? nodeName(graph, i) : `(${type})`;
+}
+
+function findNodes(graph, predicate) {
+  const found = [];
+  for (let i = 0; i < graph.nodeCount; i++) {
+    if (predicate(i)) found.push(i);
+  }
+  return found;
+}
+
+// the node the property `name` of node `i` points to
+function property(graph, i, name) {
+  for (let e = graph.firstEdge[i]; e < graph.firstEdge[i + 1]; e++) {
+    if (edgeType(graph, e) === "property" && edgeName(graph, e) === name) {
+      return graph.edgeTargets[e];
+    }
+  }
+  return null;
+}
+
+function reachable(graph, start, skip) {
+  const seen = new Uint8Array(graph.nodeCount);
+  const stack = [start];
+  seen[start] = 1;
+  if (skip !== undefined) seen[skip] = 1;
+  while (stack.length) {
+    const i = stack.pop();
+    for (let e = graph.firstEdge[i]; e < graph.firstEdge[i + 1]; e++) {
+      const to = graph.edgeTargets[e];
+      if (!seen[to] && isStrong(graph, e)) {
+        seen[to] = 1;
+        stack.push(to);
+      }
+    }
+  }
+  return seen;
+}
+
+/**
+ * Nodes `root` retains: those that can't be reached from the GC roots
+ * without going through it, i.e. what would be freed without it.
+ */
+function retainedBy(graph, root) {
+  const elsewhere = reachable(graph, 0, root);
+  const owned = [root];
+  const seen = new Uint8Array(graph.nodeCount);
+  seen[root] = 1;
+  for (let k = 0; k < owned.length; k++) {
+    const i = owned[k];
+    for (let e = graph.firstEdge[i]; e < graph.firstEdge[i + 1]; e++) {
+      const to = graph.edgeTargets[e];
+      if (!seen[to] && !elsewhere[to] && isStrong(graph, e)) {
+        seen[to] = 1;
+        owned.push(to);
+      }
+    }
+  }
+  return owned;
+}
+
+/**
+ * Breadth-first search from `start` along strong edges, only through nodes
+ * `allowed(i)` accepts. Returns, for every node reached, the node and edge
+ * it was first reached through, so `path()` can rebuild the shortest path.
+ */
+function shortestPaths(graph, start, allowed = () => true) {
+  const parents = new Map([[start, null]]);
+  const queue = [start];
+  for (let k = 0; k < queue.length; k++) {
+    const i = queue[k];
+    for (let e = graph.firstEdge[i]; e < graph.firstEdge[i + 1]; e++) {
+      const to = graph.edgeTargets[e];
+      if (!parents.has(to) && isStrong(graph, e) && allowed(to)) {
+        parents.set(to, { from: i, edge: e });
+        queue.push(to);
+      }
+    }
+  }
+  return parents;
+}
+
+// edges from the search's start to `i`
+function path(parents, i) {
+  const edges = [];
+  for (let step = parents.get(i); step; step = parents.get(step.from)) {
+    edges.unshift(step.edge);
+  }
+  return edges;
+}
+
+/**
+ * Dominator tree of the nodes retained by `root` (Cooper, Harvey and
+ * Kennedy's iterative algorithm), with the retained size of each of them.
+ * Returns maps from node to its immediate dominator and retained size.
+ */
+function dominators(graph, root, owned) {
+  const members = new Set(owned);
+  // reverse postorder from `root`
+  const order = [];
+  const visited = new Set([root]);
+  const stack = [[root, graph.firstEdge[root]]];
+  while (stack.length) {
+    const top = stack[stack.length - 1];
+    const [i, e] = top;
+    if (e < graph.firstEdge[i + 1]) {
+      top[1]++;
+      const to = graph.edgeTargets[e];
+      if (members.has(to) && !visited.has(to) && isStrong(graph, e)) {
+        visited.add(to);
+        stack.push([to, graph.firstEdge[to]]);
+      }
+    } else {
+      stack.pop();
+      order.push(i);
+    }
+  }
+  order.reverse();
+  const position = new Map(order.map((i, k) => [i, k]));
+  const predecessors = new Map(order.map(i => [i, []]));
+  for (const i of order) {
+    for (let e = graph.firstEdge[i]; e < graph.firstEdge[i + 1]; e++) {
+      const to = graph.edgeTargets[e];
+      if (position.has(to) && isStrong(graph, e)) predecessors.get(to).push(i);
+    }
+  }
+
+  const idom = new Map([[root, root]]);
+  const intersect = (a, b) => {
+    while (a !== b) {
+      while (position.get(a) > position.get(b)) a = idom.get(a);
+      while (position.get(b) > position.get(a)) b = idom.get(b);
+    }
+    return a;
+  };
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let k = 1; k < order.length; k++) {
+      const i = order[k];
+      let dominator;
+      for (const p of predecessors.get(i)) {
+        if (!idom.has(p)) continue;
+        dominator = dominator === undefined ? p : intersect(p, dominator);
+      }
+      if (idom.get(i) !== dominator) {
+        idom.set(i, dominator);
+        changed = true;
+      }
+    }
+  }
+
+  const retained = new Map(order.map(i => [i, graph.selfSizes[i]]));
+  for (let k = order.length - 1; k > 0; k--) {
+    const i = order[k];
+    const parent = idom.get(i);
+    retained.set(parent, retained.get(parent) + retained.get(i));
+  }
+  return { order, idom, retained };
+}
+
+/**
+ * Groups the nodes `root` retains by constructor with their count, shallow
+ * size and retained size. Like in DevTools, the retained size of a group
+ * doesn't count objects twice when one of them retains another of the same
+ * group.
+ */
+function groupByConstructor(graph, root) {
+  const owned = retainedBy(graph, root);
+  const { order, idom, retained } = dominators(graph, root, owned);
+  const children = new Map(order.map(i => [i, []]));
+  for (const i of order) {
+    if (i !== root) children.get(idom.get(i)).push(i);
+  }
+  const groups = {};
+  // groups of the dominators of the current node, to count a group's retained size once
+  const active = new Map();
+  const stack = [{ i: root, entered: false }];
+  while (stack.length) {
+    const frame = stack[stack.length - 1];
+    const key = constructorName(graph, frame.i);
+    if (frame.entered) {
+      stack.pop();
+      active.set(key, active.get(key) - 1);
+      continue;
+    }
+    frame.entered = true;
+    if (!groups[key]) groups[key] = { count: 0, shallow: 0, retained: 0 };
+    groups[key].count++;
+    groups[key].shallow += graph.selfSizes[frame.i];
+    if (!active.get(key)) groups[key].retained += retained.get(frame.i);
+    active.set(key, (active.get(key) || 0) + 1);
+    for (const child of children.get(frame.i)) {
+      stack.push({ i: child, entered: false });
+    }
+  }
+  return { groups, total: retained.get(root), objects: order.length };
+}
+
+// holds the AST while a snapshot is taken, and is easy to find in it
+class ParserPerfAST {
+  constructor(ast) {
+    this.ast = ast;
+  }
+}
+
+// the snapshot node of the AST held by the only ParserPerfAST
+function heldAST(graph) {
+  const [holder] = findNodes(graph, i => nodeType(graph, i) === "object" && nodeName(graph, i) === "ParserPerfAST");
+  return property(graph, holder, "ast");
+}
+
+module.exports = {
+  ParserPerfAST,
+  heldAST,
+  takeSnapshot,
+  nodeType,
+  nodeName,
+  edgeType,
+  edgeName,
+  isStrong,
+  constructorName,
+  findNodes,
+  property,
+  retainedBy,
+  shortestPaths,
+  path,
+  dominators,
+  groupByConstructor,
+};
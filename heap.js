@@ -0,0 +1,134 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { runIsolated, runCommand, reply } = require("./isolate");
+const { kib, percent } = require("./util");
+const { isDevParser } = require("./ast-check");
+const { ParserPerfAST, heldAST, takeSnapshot, groupByConstructor } = require("./heap-snapshot");
+
+// constructors printed per parser and fixture, by retained size
+const top = process.env.HEAP_TOP ? Number(process.env.HEAP_TOP) : 15;
+
+let held = null;
+
+// runs in a fresh process, so the snapshot only has one parser in it
+async function measureCell({ parser: name, file }) {
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const options = fixtureOptions(parsers[name].options, fixtures[file]);
+  const code = fs.readFileSync(file, "utf-8");
+  try {
+    held = new ParserPerfAST(parsers[name].parse(code, options));
+  } catch (e) {
+    reply({ error: e.message });
+    return;
+  }
+  global.gc();
+  const graph = await takeSnapshot();
+  const { groups, total, objects } = groupByConstructor(graph, heldAST(graph));
+  reply({ groups, total, objects, sourceBytes: Buffer.byteLength(code) });
+  held = null;
+}
+
+// change of a dev build's size `b` from babel's `a`
+const change = (a, b) => (a ? percent((b - a) / a) : "new");
+
+function printGroups(title, { groups, total, objects, sourceBytes }) {
+  const table = new Table({
+    head: ["constructor", "count", "shallow", "retained"],
+    style: {
+      head: ["bold"]
+    }
+  });
+  const names = Object.keys(groups).sort((a, b) => groups[b].retained - groups[a].retained);
+  for (const name of names.slice(0, top)) {
+    const { count, shallow, retained } = groups[name];
+    table.push([name, count, kib(shallow), kib(retained)]);
+  }
+  console.log(
+    `${title}: ${objects} objects, ${kib(total)} retained by the AST ` +
+      `(${Math.round((total / sourceBytes) * 10) / 10} B/source byte)`
+  );
+  console.log(table.toString());
+}
+
+// constructors whose count or sizes differ between babel and a dev build
+function diffGroups(expected, actual) {
+  const empty = { count: 0, shallow: 0, retained: 0 };
+  const rows = [];
+  const names = new Set(Object.keys(expected.groups).concat(Object.keys(actual.groups)));
+  for (const name of names) {
+    const a = expected.groups[name] || empty;
+    const b = actual.groups[name] || empty;
+    if (a.count !== b.count || a.shallow !== b.shallow || a.retained !== b.retained) {
+      rows.push({ constructor: name, babel: a, dev: b });
+    }
+  }
+  return rows.sort((x, y) => Math.abs(y.dev.retained - y.babel.retained) - Math.abs(x.dev.retained - x.babel.retained));
+}
+
+async function main() {
+  const loaded = loadParsers(selectedParsers);
+  const { parsers, unavailable } = loaded;
+  printLoadReport(loaded);
+
+  const results = createResults("heap", { parsers, unavailable, files, fixtures, configFile });
+  results.totals = [];
+  results.diffs = [];
+
+  for (const file of files) {
+    const name = fixtureName(file);
+    const snapshots = {};
+    for (let i in parsers) {
+      const cell = await runIsolated(__filename, { parser: i, file });
+      if (cell.error) {
+        results.errors.push({ fixture: name, parser: i, error: cell.error });
+        console.error(`${name} ${i}: error: ${cell.error}`);
+        continue;
+      }
+      snapshots[i] = cell;
+      printGroups(`${name} ${parserLabel(i, parsers[i])}`, cell);
+      const { total, objects, sourceBytes } = cell;
+      results.totals.push({ fixture: name, parser: i, objects, retained: total, bytesPerSourceByte: total / sourceBytes });
+      for (const constructor of Object.keys(cell.groups)) {
+        results.results.push({ fixture: name, parser: i, constructor, ...cell.groups[constructor] });
+      }
+    }
+
+    if (!snapshots.babel) continue;
+    for (let i in snapshots) {
+      if (!isDevParser(i)) continue;
+      const rows = diffGroups(snapshots.babel, snapshots[i]);
+      console.log(`${name}: ${i} retains ${kib(snapshots[i].total)}, babel ${kib(snapshots.babel.total)} (${change(snapshots.babel.total, snapshots[i].total)})`);
+      if (!rows.length) continue;
+      const table = new Table({
+        head: ["constructor", "babel count", `${i} count`, "babel shallow", `${i} shallow`, "babel retained", `${i} retained`, "change"],
+        style: {
+          head: ["bold"]
+        }
+      });
+      for (const { constructor, babel, dev } of rows.slice(0, top)) {
+        table.push([
+          constructor,
+          babel.count,
+          dev.count,
+          kib(babel.shallow),
+          kib(dev.shallow),
+          kib(babel.retained),
+          kib(dev.retained),
+          change(babel.retained, dev.retained),
+        ]);
+      }
+      console.log(table.toString());
+      for (const row of rows) {
+        results.diffs.push({ fixture: name, parser: i, ...row });
+      }
+    }
+  }
+
+  writeResults(results);
+}
+
+runCommand(measureCell, main);
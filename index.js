@@ -1,14 +1,96 @@
 const fs = require("fs");
+const path = require("path");
 const Table = require("cli-table");
 const Benchmark = require("benchmark");
-const { parsers, files, benchmarkOptions } = require("./config");
-const { test } = require("./util");
+const {
+  parsers: selectedParsers,
+  allParsers,
+  files,
+  fixtures,
+  benchmarkOptions,
+  compareOptions,
+  astCheck,
+  isolate,
+  order,
+  interleaveOptions,
+  configFile
+} = require("./config");
+const { test, formatComparison } = require("./util");
+const { benchmarkResult, formatBenchmark } = require("./bench");
+const { runIsolated } = require("./isolate");
+const { random, runInterleaved } = require("./interleave");
+const { createGCTracker, formatGC } = require("./gc");
+const { compareSamples } = require("./stats");
+const { createResults, writeResults } = require("./results");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { checkFixture, printMismatches, isDevParser } = require("./ast-check");
+const { describe } = require("./ast-diff");
+
+const { baseline, alpha, tolerance } = compareOptions;
+if (tolerance !== null && !baseline) {
+  throw new Error("TOLERANCE needs a BASELINE parser to compare against.");
+}
+if (isolate && order === "interleaved") {
+  throw new Error("ORDER=interleaved alternates parsers in one process, it can't be combined with ISOLATE=1.");
+}
+if (baseline && !selectedParsers[baseline]) {
+  throw new Error(`Baseline parser "${baseline}" is not selected, add it to PARSER.`);
+}
 
 console.log(`Node: ${process.version}`);
 
+const loaded = loadParsers(selectedParsers);
+const { parsers, unavailable } = loaded;
+printLoadReport(loaded);
+
 const head = ["fixture"];
 for (let i in parsers) {
-  head.push(i);
+  head.push(parserLabel(i, parsers[i]));
+}
+
+// dev builds are checked against the published babel parser, also when it isn't timed
+let reference = null;
+if (astCheck && Object.keys(parsers).some(isDevParser)) {
+  reference = parsers.babel || loadParsers({ babel: allParsers.babel }).parsers.babel;
+  if (!reference) {
+    console.error("@babel/parser is unavailable, the ASTs of dev builds aren't checked.");
+  }
+}
+const checkASTs = !!reference;
+
+const results = createResults("time", {
+  parsers,
+  unavailable,
+  files,
+  fixtures,
+  benchmarkOptions,
+  compareOptions,
+  astCheck: checkASTs,
+  isolate,
+  order,
+  ...(order === "interleaved" && { interleaveOptions }),
+  configFile
+});
+results.astMismatches = [];
+
+if (baseline && !parsers[baseline]) {
+  console.error(`Baseline parser ${baseline} is unavailable.`);
+  process.exit(1);
+}
+let comparisonTable;
+if (baseline) {
+  results.comparisons = [];
+  comparisonTable = new Table({
+    head: ["fixture"].concat(
+      Object.keys(parsers)
+        .filter(i => i !== baseline)
+        .map(i => `${parserLabel(i, parsers[i])} vs ${parserLabel(baseline, parsers[baseline])}`)
+    ),
+    style: {
+      head: ["bold"]
+    }
+  });
 }
 
 const table = new Table({
@@ -18,6 +100,13 @@ const table = new Table({
   }
 });
 
+const benchScript = path.join(__dirname, "bench.js");
+const next = random(interleaveOptions.seed);
+const gcTracker = createGCTracker();
+if (order === "interleaved") {
+  console.log(`Interleaving samples in a random order, SEED=${interleaveOptions.seed} repeats it.`);
+}
+
 if (!global.gc) {
   console.error(
     "Garbage collection unavailable.  Pass --expose-gc " +
@@ -26,40 +115,149 @@ if (!global.gc) {
   process.exit();
 }
 
-files.forEach(file => {
+async function timeFixture(file) {
   const code = fs.readFileSync(file, "utf-8");
-  const suite = new Benchmark.Suite(file.replace(/\.\/fixtures\//, ""), benchmarkOptions);
+  const name = fixtureName(file);
+  const cells = {};
+  const mismatches = checkASTs ? checkFixture({ ...parsers, babel: reference }, code, fixtures[file]) : {};
+  printMismatches(file, mismatches);
+  for (let i in mismatches) {
+    results.astMismatches.push({
+      fixture: name,
+      parser: i,
+      diffs: mismatches[i].map(({ path, a, b }) => ({ path, babel: describe(a), [i]: describe(b) })),
+    });
+  }
+  function record(parser, { hz, stats, gc, error }) {
+    if (error) {
+      // e.g. a parser that doesn't support the fixture's syntax
+      cells[parser] = `error: ${error}`;
+      results.errors.push({ fixture: name, parser, error });
+      return;
+    }
+    results.results.push({ fixture: name, parser, hz, stats, gc });
+    cells[parser] = `${formatBenchmark({ hz, stats })}\n${formatGC(gc)}`;
+  }
+
+  const suite = new Benchmark.Suite(name, benchmarkOptions);
+  const fns = {};
+  const timed = [];
   for (let i in parsers) {
-    const { parse, options } = parsers[i];
+    const { parse } = parsers[i];
+    const options = fixtureOptions(parsers[i].options, fixtures[file]);
+    if (mismatches[i]) {
+      // a faster parser with a different output isn't an improvement
+      cells[i] = "AST differs from babel";
+      continue;
+    }
+    timed.push(i);
+    // isolated cells warm up in their own process
+    if (isolate) continue;
 
     // warmup
-    test(parse, options, code, 5);
+    try {
+      test(parse, options, code, 5);
+    } catch (e) {
+      timed.pop();
+      record(i, { error: e.message });
+      continue;
+    }
     global.gc();
-    suite.add(i, () => {
+    fns[i] = () => {
       parse(code, options);
-    });
+    };
+    suite.add(i, fns[i], { onStart: () => gcTracker.start(i) });
   }
-  const result = [suite.name];
+  const timings = {};
   suite.on("cycle", function(event) {
-    {
-      // separate scope so we can cleanup all this afterwards
-      const bench = event.target;
-      const factor = bench.hz < 100 ? 100 : 1;
-      const timeMs = bench.stats.mean * 1000;
-      const time = (timeMs < 10)? `${Math.round(timeMs*1000)/1000}ms` : `${Math.round(timeMs)}ms`;
-      const msg = `${Math.round(bench.hz * factor) /
-        factor} ops/sec ±${Math.round(bench.stats.rme * 100) /
-        100}% (${time})`;
-      result.push(msg);
-    }
+    gcTracker.stop(event.target.name);
+    timings[event.target.name] = benchmarkResult(event.target);
     global.gc();
   });
 
-  console.log(`Running benchmark for ${suite.name} ...`);
-  global.gc();
-  suite.run({ async: false });
+  if (isolate) {
+    console.log(`Running benchmark for ${name} in a process per parser ...`);
+    for (const i of timed) {
+      record(i, await runIsolated(benchScript, { parser: i, file }));
+    }
+  } else if (order === "interleaved") {
+    console.log(`Running benchmark for ${name} with interleaved samples ...`);
+    global.gc();
+    Object.assign(timings, runInterleaved(fns, { ...interleaveOptions, next, gcTracker }));
+    global.gc();
+  } else {
+    console.log(`Running benchmark for ${name} ...`);
+    global.gc();
+    suite.run({ async: false });
+    global.gc(); // gc is disabled so ensure we run it
+  }
+  if (!isolate) {
+    const gcStats = await gcTracker.collect();
+    for (const i of timed) {
+      record(i, { ...timings[i], gc: gcStats[i] });
+    }
+  }
+  table.push([name].concat(Object.keys(parsers).map(i => cells[i])));
+
+  if (baseline) {
+    const timings = results.results.filter(r => r.fixture === name);
+    const base = timings.find(r => r.parser === baseline);
+    const row = [name];
+    for (let i in parsers) {
+      if (i === baseline) continue;
+      const cell = timings.find(r => r.parser === i);
+      if (!base || !cell) {
+        row.push("n/a");
+        continue;
+      }
+      const comparison = compareSamples(base.stats.sample, cell.stats.sample, alpha);
+      results.comparisons.push({ fixture: name, parser: i, baseline, ...comparison });
+      row.push(formatComparison(comparison));
+    }
+    comparisonTable.push(row);
+  }
+}
+
+function report() {
+  console.log(table.toString());
+  if (baseline) {
+    console.log(`Compared to ${baseline} (Welch t-test on log times, ${100 * (1 - alpha)}% CI):`);
+    console.log(comparisonTable.toString());
+  }
+  if (tolerance !== null) {
+    // only significant slowdowns count, noise within tolerance is fine
+    results.regressions = results.comparisons.filter(
+      c => c.verdict === "slower" && (c.ratio - 1) * 100 > tolerance
+    );
+  }
+  writeResults(results);
+
+  if (results.astMismatches.length) {
+    console.error("Timings of dev builds whose AST differs from babel were skipped, see above.");
+    process.exitCode = 1;
+  }
+  if (tolerance !== null) {
+    if (results.regressions.length) {
+      console.error(`Regressions over the ${tolerance}% tolerance against ${baseline}:`);
+      for (const { fixture, parser, ratio, p } of results.regressions) {
+        console.error(`  ${fixture}: ${parser} is ${Math.round((ratio - 1) * 1000) / 10}% slower (p=${p.toPrecision(2)})`);
+      }
+      process.exitCode = 1;
+    } else {
+      console.log(`No regressions over the ${tolerance}% tolerance against ${baseline}.`);
+    }
+  }
+}
+
+async function main() {
+  for (const file of files) {
+    await timeFixture(file);
+  }
   global.gc(); // gc is disabled so ensure we run it
-  table.push(result);
+  report();
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exitCode = 1;
 });
-global.gc(); // gc is disabled so ensure we run it
-console.log(table.toString());
@@ -0,0 +1,104 @@
+const { mean, median, variance, studentQuantile } = require("./stats");
+
+// warm-up samples compared at a time, and how close their medians must be to count as settled
+const warmupWindow = 5;
+const warmupTolerance = 0.05;
+
+// mulberry32, a small seedable PRNG so an order can be replayed from its seed
+function random(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(values, next) {
+  const result = values.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// seconds per call of `fn` over `count` calls
+function timeSample(fn, count) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < count; i++) fn();
+  return Number(process.hrtime.bigint() - start) / 1e9 / count;
+}
+
+// calls per sample so that a sample takes at least `minSampleTime` seconds
+function calibrate(fn, minSampleTime) {
+  let count = 1;
+  while (timeSample(fn, count) * count < minSampleTime) {
+    count *= 2;
+  }
+  return count;
+}
+
+/**
+ * Samples `fn` until the median of `warmupWindow` samples is within
+ * `warmupTolerance` of the previous one, i.e. the JIT is done tiering it up,
+ * or `maxTime` seconds passed.
+ */
+function warmUp(fn, minSampleTime, maxTime) {
+  const start = process.hrtime.bigint();
+  const count = calibrate(fn, minSampleTime);
+  let previous = Infinity;
+  while (Number(process.hrtime.bigint() - start) / 1e9 < maxTime) {
+    const samples = [];
+    for (let i = 0; i < warmupWindow; i++) samples.push(timeSample(fn, count));
+    const current = median(samples);
+    if (Math.abs(current - previous) <= previous * warmupTolerance) return;
+    previous = current;
+  }
+}
+
+// the same stats Benchmark.js reports, from seconds per call
+function sampleStats(sample) {
+  const m = mean(sample);
+  const v = sample.length > 1 ? variance(sample) : 0;
+  const sem = Math.sqrt(v / sample.length);
+  const moe = sample.length > 1 ? sem * studentQuantile(0.975, sample.length - 1) : 0;
+  return {
+    hz: 1 / m,
+    stats: { mean: m, deviation: Math.sqrt(v), variance: v, rme: (moe / m) * 100, moe, sem, samples: sample.length, sample },
+  };
+}
+
+/**
+ * Times every function of `fns` (name => fn) for `rounds` rounds. Every round
+ * takes one sample of each function in a random order drawn from `next`, so
+ * drift over the run and the order itself hit all of them alike. GCs during
+ * each sample are attributed to its function by `gcTracker` (see gc.js).
+ * Every function is warmed up first and calibrated once it's fast.
+ */
+function runInterleaved(fns, { rounds, minSampleTime, maxWarmupTime, next, gcTracker }) {
+  const names = Object.keys(fns);
+  const counts = {};
+  const samples = {};
+  for (const name of names) {
+    warmUp(fns[name], minSampleTime, maxWarmupTime);
+    counts[name] = calibrate(fns[name], minSampleTime);
+    samples[name] = [];
+  }
+  for (let round = 0; round < rounds; round++) {
+    for (const name of shuffle(names, next)) {
+      if (gcTracker) gcTracker.start(name);
+      samples[name].push(timeSample(fns[name], counts[name]));
+      if (gcTracker) gcTracker.stop(name);
+    }
+  }
+  const results = {};
+  for (const name of names) {
+    results[name] = sampleStats(samples[name]);
+  }
+  return results;
+}
+
+module.exports = { random, runInterleaved };
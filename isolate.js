@@ -0,0 +1,63 @@
+const { fork } = require("child_process");
+
+/**
+ * Runs `script` in a child process with the same V8 flags as this one and
+ * resolves with the message it sends back. The child gets `cell` from
+ * `isolatedCell()` and answers with `reply()`. `quiet` drops the child's
+ * output, e.g. V8's report when it runs out of memory on purpose.
+ *
+ * A child that crashes or exits without answering resolves with an
+ * `error` too, like one whose parse threw, so callers record an error cell
+ * instead of aborting the run. Its `exit` has the exit `code`, `signal`
+ * and, with `quiet`, the `stderr`.
+ */
+exports.runIsolated = function runIsolated(script, cell, { execArgv = process.execArgv, quiet = false } = {}) {
+  return new Promise(resolve => {
+    const child = fork(script, [], {
+      env: { ...process.env, PARSER_PERF_CELL: JSON.stringify(cell) },
+      execArgv,
+      ...(quiet && { stdio: ["ignore", "ignore", "pipe", "ipc"] }),
+    });
+    let message;
+    let stderr = "";
+    if (quiet) child.stderr.on("data", data => (stderr += data));
+    child.on("message", m => (message = m));
+    child.on("error", e => resolve({ error: e.message, exit: { code: null, signal: null, stderr } }));
+    // "close" waits for stderr to end, unlike "exit"
+    child.on("close", (code, signal) => {
+      if (message !== undefined) {
+        resolve(message);
+      } else {
+        resolve({ error: `exited with ${signal || `code ${code}`} without a result`, exit: { code, signal, stderr } });
+      }
+    });
+  });
+};
+
+exports.isolatedCell = function isolatedCell() {
+  return process.env.PARSER_PERF_CELL ? JSON.parse(process.env.PARSER_PERF_CELL) : null;
+};
+
+exports.reply = function reply(message) {
+  process.send(message, () => process.disconnect());
+};
+
+/**
+ * Runs a command script that measures every cell in a child process of its
+ * own: in such a child it runs `cell(isolatedCell())`, otherwise `main()`.
+ * `main` still loads every selected parser, but only to report which are
+ * available, each cell loads its parser itself. A cell that throws replies
+ * with the error, so the command records an error cell and goes on.
+ */
+exports.runCommand = function runCommand(cell, main) {
+  if (exports.isolatedCell()) {
+    Promise.resolve()
+      .then(() => cell(exports.isolatedCell()))
+      .catch(e => exports.reply({ error: String(e) }));
+  } else {
+    main().catch(e => {
+      console.error(e);
+      process.exitCode = 1;
+    });
+  }
+};
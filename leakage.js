@@ -0,0 +1,144 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { runIsolated, runCommand, reply } = require("./isolate");
+const { diffAST, formatDiffs } = require("./ast-diff");
+
+const limit = process.env.AST_DIFF_LIMIT ? Number(process.env.AST_DIFF_LIMIT) : 5;
+// parses of every fixture in a sequence
+const iterations = process.env.LEAKAGE_ITERATIONS ? Number(process.env.LEAKAGE_ITERATIONS) : 5;
+
+// JSON of an AST, with the values JSON can't hold as strings
+function serialize(ast) {
+  return JSON.stringify(ast, (key, value) => {
+    if (typeof value === "bigint") return `${value}n`;
+    if (value instanceof RegExp) return String(value);
+    return value;
+  });
+}
+
+/**
+ * Runs in a fresh process: parses every fixture of `sequence` but the last
+ * one `iterations` times, then the last one, and returns a hash of each AST
+ * of the last fixture. With `dump`, it also returns the JSON of its first
+ * AST, or of the first one whose hash isn't `expected`.
+ */
+function parseSequence({ parser: name, sequence, dump: wanted, expected }) {
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const { parse } = parsers[name];
+  const options = file => fixtureOptions(parsers[name].options, fixtures[file]);
+  const previousErrors = [];
+  for (const file of sequence.slice(0, -1)) {
+    const code = fs.readFileSync(file, "utf-8");
+    try {
+      for (let i = 0; i < iterations; i++) parse(code, options(file));
+    } catch (e) {
+      // a failed parse can leave state behind too, so go on
+      previousErrors.push(e.message);
+    }
+  }
+
+  const file = sequence[sequence.length - 1];
+  const code = fs.readFileSync(file, "utf-8");
+  const hashes = [];
+  let dump = null;
+  try {
+    for (let i = 0; i < iterations; i++) {
+      const ast = parse(code, options(file));
+      const json = serialize(ast);
+      const hash = crypto.createHash("sha256").update(json).digest("hex");
+      hashes.push(hash);
+      if (wanted && hash !== expected && !dump) dump = json;
+    }
+  } catch (e) {
+    reply({ error: e.message, previousErrors });
+    return;
+  }
+  reply({ hashes, previousErrors, dump });
+}
+
+// the first AST of `fresh` against the first one of `after` that differs from it
+async function diffCell(parser, previous, file, fresh) {
+  const expected = fresh.hashes[0];
+  const first = await runIsolated(__filename, { parser, sequence: [file], dump: true });
+  const second = await runIsolated(__filename, { parser, sequence: previous ? [previous, file] : [file], dump: true, expected });
+  if (first.error || !second.dump) return [];
+  return diffAST(JSON.parse(first.dump), JSON.parse(second.dump), { limit });
+}
+
+async function main() {
+  const loaded = loadParsers(selectedParsers);
+  const { parsers, unavailable } = loaded;
+  printLoadReport(loaded);
+
+  const results = createResults("leakage", { parsers, unavailable, files, fixtures, iterations, configFile });
+  const names = files.map(fixtureName);
+  let mismatches = 0;
+
+  for (let i in parsers) {
+    console.log(`Parsing every pair of fixtures with ${i} ...`);
+    // rows: the fixture parsed before, columns: the fixture compared
+    const table = new Table({
+      head: [`${parserLabel(i, parsers[i])}: after \\ parse`].concat(names),
+      style: {
+        head: ["bold"]
+      }
+    });
+    const fresh = {};
+    for (const file of files) {
+      fresh[file] = await runIsolated(__filename, { parser: i, sequence: [file] });
+      if (fresh[file].error) {
+        results.errors.push({ fixture: fixtureName(file), parser: i, error: fresh[file].error });
+      }
+    }
+
+    for (const previous of files) {
+      const row = [fixtureName(previous)];
+      for (const file of files) {
+        const name = fixtureName(file);
+        if (fresh[file].error) {
+          row.push("error");
+          continue;
+        }
+        // on the diagonal, the fixture is compared with its own repeated parses in the fresh process
+        const after = previous === file ? fresh[file] : await runIsolated(__filename, { parser: i, sequence: [previous, file] });
+        if (after.error) {
+          results.errors.push({ fixture: name, parser: i, previous: fixtureName(previous), error: after.error });
+          row.push(`error: ${after.error}`);
+          continue;
+        }
+        const same = after.hashes.every(hash => hash === fresh[file].hashes[0]);
+        const result = {
+          parser: i,
+          previous: fixtureName(previous),
+          fixture: name,
+          same,
+          previousErrors: after.previousErrors,
+        };
+        if (!same) {
+          mismatches++;
+          result.diffs = await diffCell(i, previous === file ? null : previous, file, fresh[file]);
+          const when = previous === file ? "when parsed again" : `after ${fixtureName(previous)}`;
+          console.error(`AST of ${name} with ${i} changes ${when}, first differences:`);
+          console.error(formatDiffs(result.diffs, "fresh", "after").join("\n"));
+        }
+        row.push(same ? "same" : "AST differs");
+        results.results.push(result);
+      }
+      table.push(row);
+    }
+    console.log(table.toString());
+  }
+
+  writeResults(results);
+  if (mismatches) {
+    console.error(`${mismatches} ASTs changed depending on what was parsed before, see above.`);
+    process.exitCode = 1;
+  }
+}
+
+runCommand(parseSequence, main);
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+function resolvePath(module) {
+  try {
+    return require.resolve(module);
+  } catch (e) {
+    return /^\.\.?\//.test(module) ? path.resolve(__dirname, module) : module;
+  }
+}
+
+function packageDir(file) {
+  let dir = path.dirname(file);
+  while (dir !== path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, "package.json"))) {
+      return dir;
+    }
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+function packageVersion(dir) {
+  return dir ? JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf-8")).version || null : null;
+}
+
+// the commit of a parser built by `parser-perf refs` or loaded from a git checkout
+function gitSha(file, dir) {
+  if (dir && fs.existsSync(path.join(dir, "build.json"))) {
+    return JSON.parse(fs.readFileSync(path.join(dir, "build.json"), "utf-8")).sha;
+  }
+  if (file.split(path.sep).includes("node_modules")) {
+    return null;
+  }
+  try {
+    return execFileSync("git", ["rev-parse", "HEAD"], {
+      cwd: path.dirname(file),
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+function heapUsed() {
+  if (global.gc) global.gc();
+  return process.memoryUsage().heapUsed;
+}
+
+/**
+ * Requires the selected parsers. Parsers that fail to load are left out of
+ * `parsers` and listed in `unavailable` with the path we tried and the error.
+ * Each loaded parser gets `load` stats: the time `require` took and how much
+ * the heap grew (only meaningful with --expose-gc). Parsers loaded from a
+ * git checkout also get the `sha` of its HEAD.
+ */
+exports.loadParsers = function loadParsers(selected) {
+  const parsers = {};
+  const unavailable = {};
+  for (let i in selected) {
+    const parser = selected[i];
+    if (parser.parse) {
+      parsers[i] = { ...parser, load: null };
+      continue;
+    }
+    const resolved = resolvePath(parser.module);
+    const heapBefore = heapUsed();
+    const start = process.hrtime();
+    try {
+      const parse = require(parser.module)[parser.method || "parse"];
+      if (typeof parse !== "function") {
+        throw new Error(`${parser.module} has no "${parser.method || "parse"}" export`);
+      }
+      const [seconds, nanoseconds] = process.hrtime(start);
+      parsers[i] = {
+        ...parser,
+        parse,
+        version: packageVersion(packageDir(resolved)),
+        sha: gitSha(resolved, packageDir(resolved)),
+        load: {
+          path: resolved,
+          time: seconds * 1e3 + nanoseconds / 1e6,
+          heapUsed: heapUsed() - heapBefore,
+        },
+      };
+    } catch (e) {
+      unavailable[i] = { path: resolved, error: e.message.split("\n")[0] };
+    }
+  }
+  if (!Object.keys(parsers).length && Object.keys(unavailable).length) {
+    exports.printLoadReport({ parsers, unavailable });
+    throw new Error("None of the selected parsers could be loaded.");
+  }
+  return { parsers, unavailable };
+};
+
+// column label of a parser, with the commit for local builds
+exports.parserLabel = function parserLabel(name, parser) {
+  return parser.sha ? `${name} (${parser.sha.slice(0, 7)})` : name;
+};
+
+exports.printLoadReport = function printLoadReport({ parsers, unavailable }) {
+  for (let i in parsers) {
+    const { load } = parsers[i];
+    if (!load) continue;
+    console.log(
+      `Loaded ${i}${parsers[i].version ? `@${parsers[i].version}` : ""}` +
+        `${parsers[i].sha ? ` (${parsers[i].sha})` : ""} from ${load.path} ` +
+        `in ${Math.round(load.time * 10) / 10}ms, ` +
+        `heap: ${Math.round((load.heapUsed / 1024 / 1024) * 100) / 100} MiB`
+    );
+  }
+  for (let i in unavailable) {
+    console.error(`Parser ${i} is unavailable, skipping it: could not load ${unavailable[i].path}`);
+    console.error(`  ${unavailable[i].error}`);
+  }
+};
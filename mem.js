@@ -1,19 +1,268 @@
 const fs = require("fs");
+const path = require("path");
 const Table = require("cli-table");
-const { parsers, files } = require("./config");
-const { test } = require("./util");
+const {
+  parsers: selectedParsers,
+  files,
+  fixtures,
+  iterations,
+  configFile
+} = require("./config");
+const { test, mib, formatBytes } = require("./util");
+const { mean, variance } = require("./stats");
+const { createResults, writeResults } = require("./results");
+const { fixtureOptions } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { writeProfile, connectInspector, functionName } = require("./profiles");
+const { runIsolated } = require("./isolate");
 
-/* START CONFIG */
-const iterations = 5;
-/* END CONFIG */
+// "heap": heapUsed growth over `iterations` parses, whatever survived of them
+// "retained": heap held by `iterations` ASTs kept alive, per AST
+// "allocation": bytes allocated per parse, from the sampling heap profiler
+// "rss": peak RSS of a process parsing the fixture once, and the smallest heap it fits in
+const mode = process.env.MEMORY_MODE || "heap";
+const trials = process.env.TRIALS ? Number(process.env.TRIALS) : 5;
+// average bytes between samples of the heap profiler, V8's default
+const samplingInterval = process.env.HEAP_SAMPLING_INTERVAL ? Number(process.env.HEAP_SAMPLING_INTERVAL) : 32768;
+const topAllocators = process.env.ALLOCATION_TOP ? Number(process.env.ALLOCATION_TOP) : 10;
+const saveHeapProfiles = process.env.HEAP_PROFILE === "1";
+// copies of each fixture parsed as one source
+const factors = (process.env.REPLICATE || "1,10").split(",").map(Number);
+// MiB, the largest --max-old-space-size tried
+const limitMax = process.env.MEMORY_LIMIT_MAX ? Number(process.env.MEMORY_LIMIT_MAX) : 4096;
+
+function measureHeap(parse, options, code) {
+  global.gc();
+  let oldSize = process.memoryUsage();
+
+  test(parse, options, code, iterations);
+
+  const memory = process.memoryUsage();
+  const heapUsed = memory.heapUsed - oldSize.heapUsed;
+  return {
+    result: {
+      iterations,
+      delta: {
+        rss: memory.rss - oldSize.rss,
+        heapTotal: memory.heapTotal - oldSize.heapTotal,
+        heapUsed,
+        external: memory.external - oldSize.external,
+      },
+    },
+    cell: `heap: ${mib(heapUsed)}`,
+  };
+}
+
+/**
+ * Keeps `iterations` ASTs alive across a forced GC, so only what they retain
+ * is left of the parses, and averages the growth of the heap per AST over
+ * `trials` trials.
+ */
+function measureRetained(parse, options, code) {
+  const perAST = [];
+  for (let trial = 0; trial < trials; trial++) {
+    const asts = new Array(iterations);
+    global.gc();
+    const before = process.memoryUsage().heapUsed;
+    for (let i = 0; i < iterations; i++) {
+      asts[i] = parse(code, options);
+    }
+    global.gc();
+    const after = process.memoryUsage().heapUsed;
+    perAST.push((after - before) / asts.length);
+  }
+  global.gc();
+  const retained = mean(perAST);
+  const deviation = trials > 1 ? Math.sqrt(variance(perAST)) : 0;
+  const bytesPerSourceByte = retained / Buffer.byteLength(code);
+  return {
+    result: { asts: iterations, trials, retained, deviation, bytesPerSourceByte, perAST },
+    cell:
+      `${formatBytes(retained)} ±${Math.round((deviation / retained) * 1000) / 10}% ` +
+      `(${Math.round(bytesPerSourceByte * 10) / 10} B/source byte)`,
+  };
+}
+
+let post;
+
+// self sizes of the profile's nodes summed up per function
+function allocationsByFunction(profile) {
+  const functions = new Map();
+  let total = 0;
+  const stack = [profile.head];
+  while (stack.length) {
+    const node = stack.pop();
+    stack.push(...node.children);
+    if (!node.selfSize) continue;
+    total += node.selfSize;
+    const key = functionName(node.callFrame);
+    functions.set(key, (functions.get(key) || 0) + node.selfSize);
+  }
+  const top = [...functions]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topAllocators)
+    .map(([name, bytes]) => ({ function: name, bytes: bytes / iterations, share: bytes / total }));
+  return { total, top };
+}
+
+/**
+ * Samples every allocation of `iterations` parses, including the objects GC
+ * collected before the profile was taken, so it counts the churn that keeps
+ * the GC busy rather than what survives.
+ */
+function measureAllocation(parse, options, code, { fixture, parser }) {
+  if (!post) {
+    post = connectInspector();
+    post("HeapProfiler.enable");
+  }
+  global.gc();
+  post("HeapProfiler.startSampling", {
+    samplingInterval,
+    includeObjectsCollectedByMajorGC: true,
+    includeObjectsCollectedByMinorGC: true,
+  });
+  test(parse, options, code, iterations);
+  const { profile } = post("HeapProfiler.stopSampling");
+
+  const { total, top } = allocationsByFunction(profile);
+  const perParse = total / iterations;
+  const file = saveHeapProfiles ? writeProfile(fixture, parser, "heapprofile", profile) : null;
+  if (file) console.log(`Heap profile written to ${file}`);
+  allocators.push({ fixture, parser, top });
+  return {
+    result: { iterations, samplingInterval, allocated: total, perParse, top, profile: file },
+    cell: `${formatBytes(perParse)}/parse (${Math.round((perParse / Buffer.byteLength(code)) * 10) / 10} B/source byte)`,
+  };
+}
+
+function printAllocators() {
+  for (const { fixture, parser, top } of allocators) {
+    const table = new Table({
+      head: ["function", "allocated per parse", "share"],
+      style: {
+        head: ["bold"]
+      }
+    });
+    for (const entry of top) {
+      table.push([entry.function, formatBytes(entry.bytes), `${Math.round(entry.share * 1000) / 10}%`]);
+    }
+    console.log(`${fixture} ${parser}: top allocating functions`);
+    console.log(table.toString());
+  }
+}
+
+const rssScript = path.join(__dirname, "rss.js");
+// the children get V8's default heap sizes instead of the large ones of this process
+const childArgv = process.execArgv.filter(flag => !/^--max-(old|semi)-space-size=/.test(flag));
+
+// false when the child runs out of memory, other failures are errors
+async function fitsIn(cell, limit) {
+  const { error, exit } = await runIsolated(rssScript, cell, {
+    execArgv: childArgv.concat(`--max-old-space-size=${limit}`),
+    quiet: true,
+  });
+  // V8 aborts with "JavaScript heap out of memory", the kernel's OOM killer sends SIGKILL
+  if (exit && (/out of memory/i.test(exit.stderr) || exit.signal === "SIGKILL")) return false;
+  if (error) {
+    const details = exit ? `:\n${String(exit.stderr || error).trim()}` : "";
+    throw new Error(`${error} with --max-old-space-size=${limit}${details}`);
+  }
+  return true;
+}
+
+// smallest --max-old-space-size in MiB the parse succeeds with, or null if it needs more than `limitMax`
+async function minimumOldSpace(cell) {
+  if (!(await fitsIn(cell, limitMax))) return null;
+  let lo = 0;
+  let hi = limitMax;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (await fitsIn(cell, mid)) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+// imports and exports at the top of the AST, either ESTree's Program or Babel's File
+function hasModuleSyntax(ast) {
+  return (ast.program || ast).body.some(node => /^(Import|Export)/.test(node.type));
+}
+
+async function measureRSS(parse, options, code, { fixture, parser, file }) {
+  const rows = [];
+  const lines = [];
+  let wrappable = true;
+  try {
+    wrappable = !hasModuleSyntax(parse(code, options));
+  } catch (e) {
+    // the child reports the error
+  }
+  for (const factor of factors) {
+    if (factor > 1 && !wrappable) {
+      rows.push({ factor, skipped: "module with imports or exports" });
+      lines.push(`x${factor}: skipped, copies of a module with imports or exports can't be wrapped`);
+      continue;
+    }
+    const cell = { parser, file, factor };
+    let row;
+    try {
+      const { error, sourceBytes, startRSS, maxRSS } = await runIsolated(rssScript, cell, { execArgv: childArgv });
+      if (error) throw new Error(error);
+      row = { factor, sourceBytes, startRSS, maxRSS, minOldSpace: await minimumOldSpace(cell) };
+    } catch (e) {
+      rows.push({ factor, error: e.message });
+      results.errors.push({ fixture, parser, factor, error: e.message });
+      lines.push(`x${factor}: error: ${e.message}`);
+      continue;
+    }
+    rows.push(row);
+    lines.push(
+      `x${factor}: peak ${mib(row.maxRSS)} (parse +${mib(row.maxRSS - row.startRSS)}), ` +
+        `min heap ${row.minOldSpace === null ? `> ${limitMax}` : row.minOldSpace} MiB`
+    );
+  }
+  return { result: rows, cell: lines.join("\n") };
+}
+
+const allocators = [];
+const modes = {
+  heap: { measure: measureHeap, head: `x${iterations}` },
+  retained: { measure: measureRetained, head: `per AST, ${iterations} kept, ${trials} trials` },
+  allocation: { measure: measureAllocation, head: `allocated, ${iterations} parses` },
+  rss: { measure: measureRSS, head: "peak RSS and minimum --max-old-space-size" },
+};
+if (!modes[mode]) {
+  throw new Error(`Unknown MEMORY_MODE "${mode}", use one of ${Object.keys(modes).join(", ")}.`);
+}
+// older V8 ignores includeObjectsCollectedByMajorGC/MinorGC and only samples what survives
+if (mode === "allocation" && Number(process.versions.node.split(".")[0]) < 20) {
+  throw new Error(`MEMORY_MODE=allocation needs Node 20 or later to count collected objects, this is ${process.version}.`);
+}
 
 console.log(`Node: ${process.version}`);
 
+const loaded = loadParsers(selectedParsers);
+const { parsers, unavailable } = loaded;
+printLoadReport(loaded);
+
 const head = ["fixture"];
 for (let i in parsers) {
-  head.push(`${i} x${iterations}`);
+  head.push(`${parserLabel(i, parsers[i])} ${modes[mode].head}`);
 }
 
+const results = createResults("memory", {
+  parsers,
+  unavailable,
+  files,
+  fixtures,
+  iterations,
+  mode,
+  ...(mode === "retained" && { trials }),
+  ...(mode === "allocation" && { samplingInterval }),
+  ...(mode === "rss" && { factors, limitMax, childArgv }),
+  configFile
+});
+
 const table = new Table({
   head,
   style: {
@@ -29,33 +278,50 @@ if (!global.gc) {
   process.exit();
 }
 
-files.forEach(file => {
-  const name = file.replace(/\.\/fixtures\//, "");
-  console.log(`Running benchmark for ${name} ...`);
-  const code = fs.readFileSync(file, "utf-8");
-  const result = [name];
-  for (let i in parsers) {
-    const { parse, options } = parsers[i];
+async function main() {
+  for (const file of files) {
+    const name = file.replace(/\.\/fixtures\//, "");
+    console.log(`Running benchmark for ${name} ...`);
+    const code = fs.readFileSync(file, "utf-8");
+    const result = [name];
+    const failed = {};
+    for (let i in parsers) {
+      const { parse } = parsers[i];
+      const options = fixtureOptions(parsers[i].options, fixtures[file]);
 
-    // warmup
-    test(parse, options, code, 1);
-    global.gc();
-  }
-  for (let i in parsers) {
-    const { parse, options } = parsers[i];
+      // warmup
+      try {
+        test(parse, options, code, 1);
+      } catch (e) {
+        failed[i] = `error: ${e.message}`;
+        results.errors.push({ fixture: name, parser: i, error: e.message });
+      }
+      global.gc();
+    }
+    for (let i in parsers) {
+      const { parse } = parsers[i];
+      const options = fixtureOptions(parsers[i].options, fixtures[file]);
+      if (failed[i]) {
+        result.push(failed[i]);
+        continue;
+      }
 
-    global.gc();
-    let oldSize = process.memoryUsage();
+      const { result: measured, cell } = await modes[mode].measure(parse, options, code, { fixture: name, parser: i, file });
+      for (const row of [].concat(measured)) {
+        results.results.push({ fixture: name, parser: i, ...row });
+      }
+      result.push(cell);
+      global.gc();
+    }
+    table.push(result);
+  }
 
-    test(parse, options, code, iterations);
+  if (allocators.length) printAllocators();
+  console.log(table.toString());
+  writeResults(results);
+}
 
-    const memory = process.memoryUsage();
-    const heapUsed = memory.heapUsed - oldSize.heapUsed;
-    const msg = `heap: ${Math.round((heapUsed / 1024 / 1024) * 100) / 100} MiB`;
-    result.push(msg);
-    global.gc();
-  }
-  table.push(result);
+main().catch(e => {
+  console.error(e);
+  process.exitCode = 1;
 });
-
-console.log(table.toString());
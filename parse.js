@@ -1,11 +1,18 @@
-const { parsers, files } = require("./config");
+const { parsers: selectedParsers, files, fixtures } = require("./config");
+const { fixtureOptions } = require("./fixtures");
+const { loadParsers, printLoadReport } = require("./loader");
 const fs = require("fs");
 const parseRound = 5; 
 
+const loaded = loadParsers(selectedParsers);
+const { parsers } = loaded;
+printLoadReport(loaded);
+
 files.forEach(file => {
   const code = fs.readFileSync(file, "utf-8");
   for (let i in parsers) {
-    const { parse, options } = parsers[i];
+    const { parse } = parsers[i];
+    const options = fixtureOptions(parsers[i].options, fixtures[file]);
     for (let j = 0; j < parseRound; j++) {
       parse(code, options);
     }
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { test, formatTime: format } = require("./util");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { runIsolated, runCommand, reply } = require("./isolate");
+const { writeProfile, connectInspector, functionName, profileDir } = require("./profiles");
+
+// parses profiled per parser and fixture, after `warmup` unprofiled ones
+const iterations = process.env.PROFILE_ITERATIONS ? Number(process.env.PROFILE_ITERATIONS) : 100;
+const warmup = process.env.PROFILE_WARMUP ? Number(process.env.PROFILE_WARMUP) : 5;
+// microseconds between samples of the CPU profiler, V8's default
+const samplingInterval = process.env.PROFILE_SAMPLING_INTERVAL ? Number(process.env.PROFILE_SAMPLING_INTERVAL) : 1000;
+// functions printed per parser and fixture, by self time
+const top = 10;
+
+// self time per function, from the hit counts of the profile's nodes
+function selfTimes(profile) {
+  const interval = (profile.endTime - profile.startTime) / 1000 / profile.samples.length;
+  const functions = new Map();
+  for (const node of profile.nodes) {
+    if (!node.hitCount) continue;
+    const key = functionName(node.callFrame);
+    functions.set(key, (functions.get(key) || 0) + node.hitCount * interval);
+  }
+  return [...functions]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, top)
+    .map(([name, time]) => ({ function: name, time: time / iterations }));
+}
+
+// runs in a fresh process, so the profile only has this parser's code warmed up in it
+function profileCell({ parser: name, file }) {
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const { parse } = parsers[name];
+  const options = fixtureOptions(parsers[name].options, fixtures[file]);
+  const code = fs.readFileSync(file, "utf-8");
+  try {
+    test(parse, options, code, warmup);
+  } catch (e) {
+    reply({ error: e.message });
+    return;
+  }
+  global.gc();
+
+  const post = connectInspector();
+  post("Profiler.enable");
+  post("Profiler.setSamplingInterval", { interval: samplingInterval });
+  post("Profiler.start");
+  const start = process.hrtime.bigint();
+  test(parse, options, code, iterations);
+  const duration = Number(process.hrtime.bigint() - start) / 1e6;
+  const { profile } = post("Profiler.stop");
+  post("Profiler.disable");
+
+  const profilePath = writeProfile(fixtureName(file), name, "cpuprofile", profile);
+  reply({ profile: profilePath, duration, samples: profile.samples.length, top: selfTimes(profile) });
+}
+
+async function main() {
+  const loaded = loadParsers(selectedParsers);
+  const { parsers, unavailable } = loaded;
+  printLoadReport(loaded);
+
+  const results = createResults("profile", {
+    parsers,
+    unavailable,
+    files,
+    fixtures,
+    iterations,
+    warmup,
+    samplingInterval,
+    configFile
+  });
+
+  for (const file of files) {
+    const name = fixtureName(file);
+    for (let i in parsers) {
+      console.log(`Profiling ${iterations} parses of ${name} with ${i} ...`);
+      const cell = await runIsolated(__filename, { parser: i, file });
+      if (cell.error) {
+        results.errors.push({ fixture: name, parser: i, error: cell.error });
+        console.error(`${name} ${i}: error: ${cell.error}`);
+        continue;
+      }
+      results.results.push({ fixture: name, parser: i, ...cell });
+      const table = new Table({
+        head: ["function", "self time per parse"],
+        style: {
+          head: ["bold"]
+        }
+      });
+      for (const entry of cell.top) {
+        table.push([entry.function, format(entry.time)]);
+      }
+      console.log(
+        `${name} ${parserLabel(i, parsers[i])}: ${format(cell.duration / iterations)} per parse, ` +
+          `${cell.samples} samples, written to ${cell.profile}`
+      );
+      console.log(table.toString());
+    }
+  }
+
+  console.log(`Load the .cpuprofile files from ${profileDir} in the Performance tab of Chrome DevTools.`);
+  writeResults(results);
+}
+
+runCommand(profileCell, main);
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const inspector = require("inspector");
+
+const profileDir = process.env.PROFILE_DIR || "./cpuprofile";
+// the start of the run, isolated children inherit it so all profiles of a run share it
+const stamp = process.env.PARSER_PERF_STAMP || new Date().toISOString().replace(/[:.]/g, "-");
+process.env.PARSER_PERF_STAMP = stamp;
+
+exports.profileDir = profileDir;
+
+/**
+ * Writes a DevTools profile of one parser on one fixture, e.g.
+ * `./cpuprofile/es5_jquery.js.dev_main.<date>.heapprofile`, and returns its path.
+ */
+exports.writeProfile = function writeProfile(fixture, parser, extension, profile) {
+  fs.mkdirSync(profileDir, { recursive: true });
+  const name = [fixture.replace(/[/\\]/g, "_"), parser.replace(/:/g, "_"), stamp, extension].join(".");
+  const file = path.join(profileDir, name);
+  fs.writeFileSync(file, JSON.stringify(profile));
+  return file;
+};
+
+/**
+ * Connects an inspector session to this process and returns a function
+ * that posts a command to it and returns the response. The in-process
+ * inspector answers synchronously.
+ */
+exports.connectInspector = function connectInspector() {
+  const session = new inspector.Session();
+  session.connect();
+  return function post(method, params) {
+    let result;
+    let failure;
+    // throwing in the callback would only end up as a process warning
+    session.post(method, params, (error, response) => {
+      failure = error;
+      result = response;
+    });
+    if (failure) throw new Error(`${method}: ${failure.message}`);
+    return result;
+  };
+};
+
+// "parseIdentifier index.js:8723" for a profile node's call frame
+exports.functionName = function functionName({ functionName: name, url, lineNumber }) {
+  return `${name || "(anonymous)"} ${url ? `${path.basename(url)}:${lineNumber + 1}` : ""}`.trim();
+};
@@ -0,0 +1,27 @@
+const { spawnSync } = require("child_process");
+const { buildParser } = require("./build");
+
+const repo = process.env.BABEL_REPO || "../babel";
+const refs = (process.env.REFS || "").split(",").filter(Boolean);
+
+if (refs.length < 2) {
+  console.error("Pass at least two refs to compare, e.g. REFS=main,my-branch");
+  process.exit(2);
+}
+
+// refs like `feature/x` stay readable, but can't break the BABEL_PARSER_PATH list
+const label = ref => `dev:${ref.replace(/[^\w./-]/g, "-")}`;
+
+const builds = refs.map(ref => buildParser(repo, ref));
+
+// the first ref is the baseline
+const { status } = spawnSync(process.execPath, [...process.execArgv, "index.js"], {
+  env: {
+    ...process.env,
+    BABEL_PARSER_PATH: builds.map(build => `${label(build.ref)}=${build.path}`).join(","),
+    PARSER: builds.map(build => label(build.ref)).join(","),
+    BASELINE: process.env.BASELINE || label(refs[0]),
+  },
+  stdio: "inherit",
+});
+process.exit(status === null ? 1 : status);
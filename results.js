@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+
+const resultsDir = process.env.RESULTS_DIR || "./results";
+// `table` is always printed, so OUTPUT=table writes no results files
+const formats = (process.env.OUTPUT || "json,csv").split(",");
+
+exports.createResults = function createResults(kind, { parsers, unavailable, files, ...options }) {
+  const meta = {
+    date: new Date().toISOString(),
+    node: process.version,
+    v8: process.versions.v8,
+    platform: process.platform,
+    arch: process.arch,
+    execArgv: process.execArgv,
+    files,
+    parsers: {},
+    unavailable: unavailable || {},
+    ...options,
+  };
+  for (let i in parsers) {
+    meta.parsers[i] = {
+      module: parsers[i].module,
+      version: parsers[i].version || null,
+      sha: parsers[i].sha || null,
+      options: parsers[i].options,
+      load: parsers[i].load,
+    };
+  }
+  return { kind, meta, results: [], errors: [] };
+};
+
+function flatten(object, prefix = "", row = {}) {
+  for (const key of Object.keys(object)) {
+    const value = object[key];
+    if (Array.isArray(value)) {
+      // sample arrays are only kept in the JSON output
+      continue;
+    }
+    if (value !== null && typeof value === "object") {
+      flatten(value, `${prefix}${key}.`, row);
+    } else {
+      row[`${prefix}${key}`] = value;
+    }
+  }
+  return row;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+exports.toCSV = function toCSV(rows) {
+  const flat = rows.map(row => flatten(row));
+  const columns = [];
+  for (const row of flat) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  const lines = [columns.join(",")];
+  for (const row of flat) {
+    lines.push(columns.map(key => csvCell(row[key])).join(","));
+  }
+  return lines.join("\n") + "\n";
+};
+
+exports.writeResults = function writeResults(results) {
+  const written = [];
+  const stamp = results.meta.date.replace(/[:.]/g, "-");
+  const base = path.join(resultsDir, `${results.kind}-${stamp}`);
+  if (formats.includes("json")) {
+    written.push(`${base}.json`);
+  }
+  if (formats.includes("csv")) {
+    written.push(`${base}.csv`);
+  }
+  if (!written.length) return null;
+
+  fs.mkdirSync(resultsDir, { recursive: true });
+  for (const file of written) {
+    const content = file.endsWith(".json")
+      ? JSON.stringify(results, null, 2)
+      : exports.toCSV(results.results);
+    fs.writeFileSync(file, content);
+  }
+  console.log(`Results written to ${written.join(" and ")}`);
+  return base;
+};
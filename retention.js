@@ -0,0 +1,174 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { runIsolated, runCommand, reply } = require("./isolate");
+const { isDevParser } = require("./ast-check");
+const {
+  ParserPerfAST,
+  heldAST,
+  takeSnapshot,
+  nodeType,
+  nodeName,
+  edgeType,
+  edgeName,
+  isStrong,
+  findNodes,
+  retainedBy,
+  shortestPaths,
+  path,
+} = require("./heap-snapshot");
+
+// property paths printed per parser and fixture
+const top = 5;
+
+// prefixed to the source to find it in the snapshot, without a line break so
+// line numbers don't change
+const marker = `/* parser-perf source ${process.pid} ${Date.now()} */ `;
+
+let held = null;
+
+// the only reference to the source is gone once this returns
+function parseFixture(parse, options, file) {
+  // a flat string, so the snapshot has the whole source in one node
+  const code = Buffer.from(marker + fs.readFileSync(file, "utf-8")).toString();
+  held = new ParserPerfAST(parse(code, options));
+  return Buffer.byteLength(code);
+}
+
+// `.body[].expression.extra.raw`, with array indexes and backing stores left out
+function formatPath(graph, edges) {
+  return edges
+    .map(e => {
+      const type = edgeType(graph, e);
+      const name = edgeName(graph, e);
+      if (type === "property") return `.${name}`;
+      if (type === "element") return "[]";
+      if (type === "internal" && (name === "elements" || name === "properties")) return "";
+      return `<${name}>`;
+    })
+    .join("");
+}
+
+// runs in a fresh process, so nothing but the parser and its AST can hold the source
+async function measureCell({ parser: name, file }) {
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const options = fixtureOptions(parsers[name].options, fixtures[file]);
+  let sourceBytes;
+  try {
+    sourceBytes = parseFixture(parsers[name].parse, options, file);
+  } catch (e) {
+    reply({ error: e.message });
+    return;
+  }
+  // V8 keeps the subject of the last regexp match alive until the next match,
+  // which would show up as retention outside the AST in every regexp-based parser
+  /x/.exec("x");
+  global.gc();
+  const graph = await takeSnapshot();
+  const [source] = findNodes(graph, i => {
+    if (nodeType(graph, i) !== "string") return false;
+    const value = nodeName(graph, i);
+    return value.length > marker.length && value.startsWith(marker);
+  });
+  if (source === undefined) {
+    reply({ retained: false, sourceBytes, references: 0, paths: [] });
+    return;
+  }
+
+  const ast = heldAST(graph);
+  const owned = new Uint8Array(graph.nodeCount);
+  for (const i of retainedBy(graph, ast)) owned[i] = 1;
+
+  // everything in the AST that points at the source, e.g. sliced strings through their parent
+  const parents = shortestPaths(graph, ast, i => owned[i] || i === source);
+  const counts = new Map();
+  let references = 0;
+  for (const [i] of parents) {
+    if (!owned[i]) continue;
+    for (let e = graph.firstEdge[i]; e < graph.firstEdge[i + 1]; e++) {
+      if (graph.edgeTargets[e] !== source || !isStrong(graph, e)) continue;
+      references++;
+      const key = formatPath(graph, path(parents, i).concat(e));
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  const paths = [...counts].sort((a, b) => b[1] - a[1]).map(([key, count]) => ({ path: key, count }));
+
+  // the source can also be kept alive by something else than the AST, e.g. the parser's state
+  let elsewhere = null;
+  if (!owned[source]) {
+    const fromRoots = shortestPaths(graph, 0, i => i !== ast);
+    elsewhere = fromRoots.has(source) ? formatPath(graph, path(fromRoots, source)) : "(unknown)";
+  }
+  reply({ retained: true, sourceBytes, references, paths, elsewhere });
+  held = null;
+}
+
+function summarize({ retained, references, elsewhere }) {
+  if (!retained) return "not retained";
+  const parts = [];
+  if (references) parts.push(`by the AST through ${references} references`);
+  if (elsewhere) parts.push("outside the AST");
+  return `retained ${parts.join(" and ")}`;
+}
+
+async function main() {
+  const loaded = loadParsers(selectedParsers);
+  const { parsers, unavailable } = loaded;
+  printLoadReport(loaded);
+
+  const results = createResults("retention", { parsers, unavailable, files, fixtures, configFile });
+  const table = new Table({
+    head: ["fixture"].concat(Object.keys(parsers).map(i => parserLabel(i, parsers[i]))),
+    style: {
+      head: ["bold"]
+    }
+  });
+  const regressions = [];
+
+  for (const file of files) {
+    const name = fixtureName(file);
+    console.log(`Looking for the source of ${name} in heap snapshots ...`);
+    const row = [name];
+    const cells = {};
+    for (let i in parsers) {
+      const cell = await runIsolated(__filename, { parser: i, file });
+      if (cell.error) {
+        results.errors.push({ fixture: name, parser: i, error: cell.error });
+        row.push(`error: ${cell.error}`);
+        continue;
+      }
+      cells[i] = cell;
+      row.push(summarize(cell));
+      results.results.push({ fixture: name, parser: i, ...cell });
+      if (cell.paths.length) {
+        console.log(`${name} ${i}: the AST retains the ${Math.round(cell.sourceBytes / 1024)} KiB source through`);
+        for (const { path: key, count } of cell.paths.slice(0, top)) {
+          console.log(`  ${count} x ${key}`);
+        }
+      }
+      if (cell.elsewhere) {
+        console.log(`${name} ${i}: the source is retained outside the AST through ${cell.elsewhere}`);
+      }
+    }
+    table.push(row);
+
+    for (let i in cells) {
+      if (isDevParser(i) && cells.babel && cells[i].references && !cells.babel.references) {
+        regressions.push(`${i} (${name})`);
+      }
+    }
+  }
+
+  console.log(table.toString());
+  writeResults(results);
+  if (regressions.length) {
+    console.error(`ASTs of dev builds retain the source where babel's don't: ${regressions.join(", ")}`);
+    process.exitCode = 1;
+  }
+}
+
+runCommand(measureCell, main);
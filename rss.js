@@ -0,0 +1,30 @@
+const fs = require("fs");
+const { isolatedCell, reply } = require("./isolate");
+const { loadParsers } = require("./loader");
+const { fixtureOptions } = require("./fixtures");
+const { parsers: selectedParsers, fixtures } = require("./config");
+
+/**
+ * `factor` copies of a fixture in one source, each wrapped in a function so
+ * their `let`, `const`, `class` and, in modules, function declarations don't
+ * clash. Modules with imports or exports can't be wrapped, mem.js doesn't
+ * replicate those.
+ */
+function replicate(code, factor) {
+  if (factor === 1) return code;
+  return Array(factor).fill(`(function () {\n${code}\n})();`).join("\n");
+}
+
+// a single (parser, fixture, factor) cell of `MEMORY_MODE=rss yarn run memory`,
+// run in a fresh process so its peak RSS is only this parse's
+const { parser: name, file, factor } = isolatedCell();
+const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+const options = fixtureOptions(parsers[name].options, fixtures[file]);
+const code = replicate(fs.readFileSync(file, "utf-8"), factor);
+const startRSS = process.resourceUsage().maxRSS * 1024;
+try {
+  parsers[name].parse(code, options);
+  reply({ startRSS, maxRSS: process.resourceUsage().maxRSS * 1024, sourceBytes: Buffer.byteLength(code) });
+} catch (e) {
+  reply({ error: e.message });
+}
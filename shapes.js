@@ -0,0 +1,184 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { isDevParser } = require("./ast-check");
+
+// compiled at runtime so this file can be loaded without --allow-natives-syntax
+let natives;
+try {
+  natives = {
+    haveSameMap: new Function("a", "b", "return %HaveSameMap(a, b);"),
+    hasFastProperties: new Function("o", "return %HasFastProperties(o);"),
+    hasHoleyElements: new Function("o", "return %HasHoleyElements(o);"),
+    hasDoubleElements: new Function("o", "return %HasDoubleElements(o);"),
+  };
+} catch (e) {
+  console.error("V8 natives unavailable. Pass --allow-natives-syntax when launching node.");
+  process.exit(2);
+}
+
+const showAll = !!process.env.SHAPES_ALL;
+
+function group(stats, name) {
+  if (!stats.groups[name]) {
+    stats.groups[name] = { count: 0, maps: [], keyOrders: new Set(), dictionary: 0 };
+  }
+  return stats.groups[name];
+}
+
+function visitObject(stats, object) {
+  // AST nodes are grouped by type, other objects (e.g. babel's Position) by constructor
+  const name = typeof object.type === "string" ? object.type : `(${object.constructor.name})`;
+  const entry = group(stats, name);
+  entry.count++;
+  entry.keyOrders.add(Object.keys(object).join(","));
+  if (!entry.maps.some(representative => natives.haveSameMap(representative, object))) {
+    entry.maps.push(object);
+  }
+  if (!natives.hasFastProperties(object)) {
+    entry.dictionary++;
+    stats.dictionary++;
+  }
+}
+
+function visitArray(stats, array) {
+  stats.arrays++;
+  if (natives.hasHoleyElements(array)) stats.holey++;
+  if (natives.hasDoubleElements(array)) stats.double++;
+}
+
+/**
+ * Walks every object and array reachable from `ast` and collects how many
+ * V8 maps and property orders each node type has, and how many objects are
+ * in dictionary mode and how many arrays are holey or have double elements.
+ */
+function collectShapes(ast) {
+  const stats = { groups: {}, dictionary: 0, arrays: 0, holey: 0, double: 0 };
+  const seen = new Set();
+  const stack = [ast];
+  while (stack.length) {
+    const value = stack.pop();
+    if (value === null || typeof value !== "object" || seen.has(value)) continue;
+    seen.add(value);
+    if (Array.isArray(value)) {
+      visitArray(stats, value);
+    } else if (!(value instanceof RegExp)) {
+      visitObject(stats, value);
+    }
+    for (const key of Object.keys(value)) {
+      stack.push(value[key]);
+    }
+  }
+  return stats;
+}
+
+function summarize(stats) {
+  const groups = {};
+  for (const name of Object.keys(stats.groups).sort()) {
+    const { count, maps, keyOrders, dictionary } = stats.groups[name];
+    groups[name] = { count, maps: maps.length, keyOrders: keyOrders.size, dictionary };
+  }
+  const { dictionary, arrays, holey, double } = stats;
+  return { groups, dictionary, arrays, holey, double };
+}
+
+function printShapes(name, summary) {
+  const table = new Table({
+    head: ["type", "objects", "maps", "key orders", "dictionary mode"],
+    style: {
+      head: ["bold"]
+    }
+  });
+  for (const type of Object.keys(summary.groups)) {
+    const { count, maps, keyOrders, dictionary } = summary.groups[type];
+    if (showAll || maps > 1 || keyOrders > 1 || dictionary) {
+      table.push([type, count, maps, keyOrders, dictionary]);
+    }
+  }
+  const polymorphic = Object.keys(summary.groups).filter(type => summary.groups[type].maps > 1);
+  console.log(
+    `${name}: ${polymorphic.length} polymorphic types, ${summary.dictionary} objects in dictionary mode, ` +
+      `${summary.holey}/${summary.arrays} holey arrays, ${summary.double} double arrays`
+  );
+  if (table.length) console.log(table.toString());
+}
+
+// types where a dev build has more maps or property orders than babel
+function diffShapes(expected, actual) {
+  const rows = [];
+  const types = new Set(Object.keys(expected.groups).concat(Object.keys(actual.groups)));
+  for (const type of [...types].sort()) {
+    const a = expected.groups[type] || { maps: 0, keyOrders: 0, dictionary: 0 };
+    const b = actual.groups[type] || { maps: 0, keyOrders: 0, dictionary: 0 };
+    if (a.maps !== b.maps || a.keyOrders !== b.keyOrders || a.dictionary !== b.dictionary) {
+      rows.push({ type, babel: a, dev: b, regression: b.maps > a.maps || b.dictionary > a.dictionary });
+    }
+  }
+  return rows;
+}
+
+const loaded = loadParsers(selectedParsers);
+const { parsers, unavailable } = loaded;
+printLoadReport(loaded);
+
+const results = createResults("shapes", { parsers, unavailable, files, fixtures, configFile });
+results.diffs = [];
+
+for (const file of files) {
+  const name = fixtureName(file);
+  const code = fs.readFileSync(file, "utf-8");
+  const summaries = {};
+  for (let i in parsers) {
+    let ast;
+    try {
+      ast = parsers[i].parse(code, fixtureOptions(parsers[i].options, fixtures[file]));
+    } catch (e) {
+      results.errors.push({ fixture: name, parser: i, error: e.message });
+      console.error(`${name} ${i}: error: ${e.message}`);
+      continue;
+    }
+    summaries[i] = summarize(collectShapes(ast));
+    printShapes(`${name} ${parserLabel(i, parsers[i])}`, summaries[i]);
+    for (const type of Object.keys(summaries[i].groups)) {
+      results.results.push({ fixture: name, parser: i, type, ...summaries[i].groups[type] });
+    }
+  }
+
+  if (!summaries.babel) continue;
+  for (let i in summaries) {
+    if (!isDevParser(i)) continue;
+    const rows = diffShapes(summaries.babel, summaries[i]);
+    if (!rows.length) {
+      console.log(`${name}: ${i} has the same shapes as babel`);
+      continue;
+    }
+    const table = new Table({
+      head: ["type", "babel maps", `${i} maps`, "babel key orders", `${i} key orders`, "dictionary"],
+      style: {
+        head: ["bold"]
+      }
+    });
+    for (const { type, babel, dev } of rows) {
+      table.push([type, babel.maps, dev.maps, babel.keyOrders, dev.keyOrders, `${babel.dictionary} / ${dev.dictionary}`]);
+    }
+    console.log(`${name}: shapes of ${i} that differ from babel`);
+    console.log(table.toString());
+    for (const row of rows) {
+      results.diffs.push({ fixture: name, parser: i, ...row });
+    }
+  }
+}
+
+writeResults(results);
+
+const regressions = results.diffs.filter(row => row.regression);
+if (regressions.length) {
+  console.error(
+    `Dev builds have more maps or dictionary mode objects than babel for: ` +
+      [...new Set(regressions.map(row => `${row.type} (${row.fixture})`))].join(", ")
+  );
+  process.exitCode = 1;
+}
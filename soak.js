@@ -0,0 +1,167 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, compareOptions, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { runIsolated, runCommand, reply } = require("./isolate");
+const { linearRegression } = require("./stats");
+const { mib, percent } = require("./util");
+
+// seconds per parser, unless SOAK_ITERATIONS sets a number of parses instead
+const duration = process.env.SOAK_DURATION ? Number(process.env.SOAK_DURATION) : 60;
+const maxParses = process.env.SOAK_ITERATIONS ? Number(process.env.SOAK_ITERATIONS) : Infinity;
+// parses between forced GCs, default one pass over all fixtures that parse
+const gcEvery = process.env.SOAK_GC_EVERY ? Number(process.env.SOAK_GC_EVERY) : null;
+// fitted growth over the run that counts as a leak (MiB) or a slowdown (percent),
+// when the lower bound of its confidence interval (ALPHA) is over it
+const heapTolerance = process.env.SOAK_HEAP_TOLERANCE ? Number(process.env.SOAK_HEAP_TOLERANCE) : 1;
+const timeTolerance = process.env.SOAK_TIME_TOLERANCE ? Number(process.env.SOAK_TIME_TOLERANCE) : 10;
+// share of the rounds left out of the fits, while caches fill up and the JIT warms up
+const warmupShare = 0.1;
+
+// runs in a fresh process for every parser, like a long-lived language server would
+function soakParser({ parser: name }) {
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const { parse } = parsers[name];
+  const inputs = [];
+  const skipped = [];
+  for (const file of files) {
+    const code = fs.readFileSync(file, "utf-8");
+    const options = fixtureOptions(parsers[name].options, fixtures[file]);
+    try {
+      parse(code, options);
+      inputs.push({ code, options, size: Buffer.byteLength(code) });
+    } catch (e) {
+      skipped.push({ fixture: fixtureName(file), error: e.message });
+    }
+  }
+  if (!inputs.length) {
+    reply({ error: "no fixture parses" });
+    return;
+  }
+
+  // one round is `every` parses followed by a forced GC
+  const every = gcEvery || inputs.length;
+  const rounds = [];
+  const start = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+  let parses = 0;
+  while (elapsed() < duration && parses < maxParses) {
+    let time = 0;
+    let bytes = 0;
+    for (let count = 0; count < every && parses < maxParses; count++, parses++) {
+      const { code, options, size } = inputs[parses % inputs.length];
+      const before = process.hrtime.bigint();
+      parse(code, options);
+      time += Number(process.hrtime.bigint() - before);
+      bytes += size;
+    }
+    global.gc();
+    // nanoseconds per source byte, so rounds with another mix of fixtures compare
+    rounds.push({ elapsed: elapsed(), parses, heapUsed: process.memoryUsage().heapUsed, time: time / bytes });
+  }
+  reply({ rounds, skipped, gcEvery: every });
+}
+
+/**
+ * Fits lines to the post-GC heap and the parse time per byte of every round,
+ * after the warm-up rounds, and flags the parser when even the lower bound of
+ * the confidence interval of the fitted growth over the run exceeds the
+ * tolerances, so noise in a short run doesn't count.
+ */
+function analyze(rounds) {
+  const measured = rounds.slice(Math.max(1, Math.floor(rounds.length * warmupShare)));
+  if (measured.length < 3) {
+    return { error: `only ${rounds.length} rounds, soak longer` };
+  }
+  const xs = measured.map(round => round.parses);
+  const span = xs[xs.length - 1] - xs[0];
+  const { alpha } = compareOptions;
+  const heapFit = linearRegression(xs, measured.map(round => round.heapUsed), alpha);
+  const timeFit = linearRegression(xs, measured.map(round => round.time), alpha);
+  const heapGrowth = heapFit.ci.map(slope => slope * span);
+  const timeStart = timeFit.intercept + timeFit.slope * xs[0];
+  const timeChange = timeFit.ci.map(slope => (slope * span) / timeStart);
+  return {
+    rounds: rounds.length,
+    parses: rounds[rounds.length - 1].parses,
+    heap: {
+      start: measured[0].heapUsed,
+      end: measured[measured.length - 1].heapUsed,
+      slope: heapFit.slope,
+      growth: heapFit.slope * span,
+      growthCI: heapGrowth,
+    },
+    time: { start: timeStart, slope: timeFit.slope, change: (timeFit.slope * span) / timeStart, changeCI: timeChange },
+    alpha,
+    leak: heapGrowth[0] > heapTolerance * 1024 * 1024,
+    degraded: timeChange[0] * 100 > timeTolerance,
+  };
+}
+
+const signedMib = bytes => `${bytes > 0 ? "+" : ""}${mib(bytes)}`;
+
+async function main() {
+  const loaded = loadParsers(selectedParsers);
+  const { parsers, unavailable } = loaded;
+  printLoadReport(loaded);
+
+  const results = createResults("soak", {
+    parsers,
+    unavailable,
+    files,
+    fixtures,
+    duration,
+    maxParses: Number.isFinite(maxParses) ? maxParses : null,
+    gcEvery: gcEvery || "fixtures",
+    heapTolerance,
+    timeTolerance,
+    configFile
+  });
+  const table = new Table({
+    head: ["parser", "parses", "post-GC heap", "fitted heap growth", "parse time per byte", "fitted change", "verdict"],
+    style: {
+      head: ["bold"]
+    }
+  });
+  const flagged = [];
+
+  for (let i in parsers) {
+    const limit = Number.isFinite(maxParses) ? `${maxParses} parses` : `${duration}s`;
+    const gc = gcEvery ? `GC every ${gcEvery} parses` : "GC after every pass over the fixtures";
+    console.log(`Soaking ${i} for ${limit}, ${gc} ...`);
+    const { rounds, skipped, error, gcEvery: every } = await runIsolated(__filename, { parser: i });
+    for (const { fixture, error } of skipped || []) {
+      results.errors.push({ fixture, parser: i, error });
+      console.error(`${fixture} ${i}: skipped, error: ${error}`);
+    }
+    const summary = error ? { error } : analyze(rounds);
+    if (summary.error) {
+      results.errors.push({ parser: i, error: summary.error });
+      table.push([parserLabel(i, parsers[i]), `error: ${summary.error}`, "", "", "", "", ""]);
+      continue;
+    }
+    results.results.push({ parser: i, ...summary, gcEvery: every, series: rounds });
+    const verdict = [summary.leak && "heap grows", summary.degraded && "slows down"].filter(Boolean);
+    if (verdict.length) flagged.push(`${i} (${verdict.join(", ")})`);
+    table.push([
+      parserLabel(i, parsers[i]),
+      summary.parses,
+      `${mib(summary.heap.start)} -> ${mib(summary.heap.end)}`,
+      `${signedMib(summary.heap.growth)} [${signedMib(summary.heap.growthCI[0])}, ${signedMib(summary.heap.growthCI[1])}]`,
+      `${Math.round(summary.time.start * 100) / 100}ns`,
+      `${percent(summary.time.change)} [${percent(summary.time.changeCI[0])}, ${percent(summary.time.changeCI[1])}]`,
+      verdict.length ? verdict.join(", ") : "ok",
+    ]);
+  }
+
+  console.log(table.toString());
+  writeResults(results);
+  if (flagged.length) {
+    console.error(`Over ${heapTolerance} MiB heap growth or ${timeTolerance}% slowdown: ${flagged.join(", ")}`);
+    process.exitCode = 1;
+  }
+}
+
+runCommand(soakParser, main);
@@ -0,0 +1,171 @@
+// Lanczos approximation, good to ~15 significant digits
+const lanczos = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let a = lanczos[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) {
+    a += lanczos[i] / (x + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// continued fraction for the incomplete beta function (Numerical Recipes `betacf`)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(a, b, x)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// P(T <= t) for Student's t distribution with `df` degrees of freedom
+function studentCDF(t, df) {
+  const tail = 0.5 * incompleteBeta(df / 2, 0.5, df / (df + t * t));
+  return t > 0 ? 1 - tail : tail;
+}
+
+function studentQuantile(p, df) {
+  let lo = -1e3;
+  let hi = 1e3;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentCDF(mid, df) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function mean(values) {
+  let sum = 0;
+  for (const value of values) sum += value;
+  return sum / values.length;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function variance(values) {
+  const m = mean(values);
+  let sum = 0;
+  for (const value of values) sum += (value - m) * (value - m);
+  return sum / (values.length - 1);
+}
+
+// Welch's unequal variances t-test for mean(b) - mean(a)
+function welch(a, b, alpha = 0.05) {
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const diff = mean(b) - mean(a);
+  const se = Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const t = se === 0 ? 0 : diff / se;
+  const p = se === 0 ? 1 : 2 * studentCDF(-Math.abs(t), df);
+  const margin = studentQuantile(1 - alpha / 2, df) * se;
+  return { diff, t, df, p, ci: [diff - margin, diff + margin] };
+}
+
+/**
+ * Compares the per-op times of `samples` against `baseline`.
+ * The test runs on log times, so `ratio` and its confidence interval
+ * are ratios of (geometric) mean times: below 1 means faster than baseline.
+ */
+function compareSamples(baseline, samples, alpha = 0.05) {
+  const { diff, t, df, p, ci } = welch(baseline.map(Math.log), samples.map(Math.log), alpha);
+  const ratio = Math.exp(diff);
+  let verdict = "no significant difference";
+  if (p < alpha) {
+    verdict = ratio < 1 ? "faster" : "slower";
+  }
+  return {
+    ratio,
+    ci: ci.map(Math.exp),
+    speedup: 1 / ratio - 1,
+    speedupCI: [1 / Math.exp(ci[1]) - 1, 1 / Math.exp(ci[0]) - 1],
+    t,
+    df,
+    p,
+    alpha,
+    verdict,
+  };
+}
+
+/**
+ * Least squares fit of `ys` over `xs`, with the `1 - alpha` confidence
+ * interval of the slope from its standard error (needs 3 points or more).
+ */
+function linearRegression(xs, ys, alpha = 0.05) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) * (xs[i] - mx);
+  }
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = my - slope * mx;
+  let residuals = 0;
+  for (let i = 0; i < xs.length; i++) {
+    residuals += (ys[i] - intercept - slope * xs[i]) ** 2;
+  }
+  const df = xs.length - 2;
+  const se = sxx === 0 || df < 1 ? 0 : Math.sqrt(residuals / df / sxx);
+  const margin = df < 1 ? 0 : studentQuantile(1 - alpha / 2, df) * se;
+  return { slope, intercept, se, ci: [slope - margin, slope + margin] };
+}
+
+module.exports = {
+  mean,
+  median,
+  variance,
+  studentCDF,
+  studentQuantile,
+  welch,
+  compareSamples,
+  linearRegression,
+};
@@ -0,0 +1,86 @@
+const fs = require("fs");
+const path = require("path");
+
+const configFiles = [".parserperfrc", ".parserperfrc.json", "parser-perf.config.js"];
+
+function findConfigFile() {
+  if (process.env.PARSER_PERF_CONFIG) {
+    const file = path.resolve(process.env.PARSER_PERF_CONFIG);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Config file ${file} from PARSER_PERF_CONFIG does not exist.`);
+    }
+    return file;
+  }
+  for (const name of configFiles) {
+    const file = path.join(__dirname, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+function readConfigFile(file) {
+  if (file.endsWith(".js")) {
+    return require(file);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not parse config file ${file}: ${e.message}`);
+  }
+}
+
+// relative module paths in the config file are relative to the file itself
+function resolveModule(module, dir) {
+  return /^\.\.?\//.test(module) ? path.resolve(dir, module) : module;
+}
+
+function mergeParsers(defaults, overrides, dir, file) {
+  const parsers = { ...defaults };
+  for (const name of Object.keys(overrides)) {
+    const override = overrides[name];
+    if (override === false) {
+      delete parsers[name];
+      continue;
+    }
+    const parser = { ...parsers[name], ...override };
+    if (override.module) {
+      parser.module = resolveModule(override.module, dir);
+    }
+    if (parsers[name] && override.options) {
+      parser.options = { ...parsers[name].options, ...override.options };
+    }
+    if (!parser.parse && !parser.module) {
+      throw new Error(`Parser "${name}" in ${file} needs a \`module\` (or a \`parse\` function).`);
+    }
+    parsers[name] = parser;
+  }
+  return parsers;
+}
+
+/**
+ * Merges the user config file (if any) over the built-in defaults:
+ * `parsers` entries override, add (with `module`, `method` and `options`)
+ * or disable (with `false`) parsers, `files`, `select`, `iterations` replace
+ * the defaults and `benchmarkOptions`, `interleave` and `compare` are merged.
+ */
+exports.loadUserConfig = function loadUserConfig(defaults) {
+  const file = findConfigFile();
+  if (!file) {
+    return { ...defaults, configFile: null };
+  }
+  const config = readConfigFile(file);
+  const dir = path.dirname(file);
+  return {
+    configFile: file,
+    parsers: mergeParsers(defaults.parsers, config.parsers || {}, dir, file),
+    files: config.files
+      ? config.files.map(fixture => path.relative(process.cwd(), path.resolve(dir, fixture)))
+        .map(fixture => (fixture.startsWith(".") ? fixture : `./${fixture}`))
+      : defaults.files,
+    select: config.select || defaults.select,
+    iterations: config.iterations || defaults.iterations,
+    benchmarkOptions: { ...defaults.benchmarkOptions, ...config.benchmarkOptions },
+    interleave: { ...defaults.interleave, ...config.interleave },
+    compare: { ...defaults.compare, ...config.compare },
+  };
+};
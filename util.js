@@ -3,3 +3,64 @@ exports.test = function test(parse, options, input, iterations) {
     parse(input, options);
   }
 };
+
+// a signed change, 0.123 => "+12.3%"
+function percent(value) {
+  const rounded = Math.round(value * 1000) / 10;
+  return `${rounded > 0 ? "+" : ""}${rounded}%`;
+}
+
+exports.percent = percent;
+
+exports.formatTime = function formatTime(ms) {
+  return ms < 10 ? `${Math.round(ms * 1000) / 1000}ms` : `${Math.round(ms)}ms`;
+};
+
+exports.kib = function kib(bytes) {
+  return `${Math.round((bytes / 1024) * 10) / 10} KiB`;
+};
+
+exports.mib = function mib(bytes) {
+  return `${Math.round((bytes / 1024 / 1024) * 100) / 100} MiB`;
+};
+
+// KiB below a MiB, MiB above
+exports.formatBytes = function formatBytes(bytes) {
+  return Math.abs(bytes) < 1024 * 1024 ? exports.kib(bytes) : exports.mib(bytes);
+};
+
+exports.formatComparison = function formatComparison({ speedup, speedupCI, p, verdict }) {
+  const pValue = p < 0.001 ? "p<0.001" : `p=${Math.round(p * 1000) / 1000}`;
+  return `${percent(speedup)} [${percent(speedupCI[0])}, ${percent(speedupCI[1])}] ${verdict} (${pValue})`;
+};
+
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[\\^$.+()|{}[\]]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Patterns with glob characters must match the whole path (with or without
+// the `fixtures/` prefix), others match any part of it like `FILE=ember` always did.
+exports.matchFixture = function matchFixture(file, patterns) {
+  const name = file.replace(/^\.\//, "");
+  return patterns.some(pattern => {
+    if (!/[*?]/.test(pattern)) {
+      return file.includes(pattern);
+    }
+    const regexp = globToRegExp(pattern.replace(/^\.\//, ""));
+    return regexp.test(name) || regexp.test(name.replace(/^fixtures\//, ""));
+  });
+};
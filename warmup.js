@@ -0,0 +1,97 @@
+const fs = require("fs");
+const Table = require("cli-table");
+const { parsers: selectedParsers, files, fixtures, configFile } = require("./config");
+const { fixtureOptions, fixtureName } = require("./fixtures");
+const { loadParsers, printLoadReport, parserLabel } = require("./loader");
+const { createResults, writeResults } = require("./results");
+const { runIsolated, runCommand, reply } = require("./isolate");
+const { formatTime: format } = require("./util");
+const { median } = require("./stats");
+
+const iterations = process.env.WARMUP_ITERATIONS ? Number(process.env.WARMUP_ITERATIONS) : 100;
+// timings are steady once every later rolling median is this close to the final one
+const steadyTolerance = 0.05;
+const window = 10;
+
+const checkpoints = [1, 2, 3, 5, 10, 20, 50, 100, 200, 500, 1000].filter(n => n <= iterations);
+
+/**
+ * Steady state is the median of the last `window` parses, and is reached at
+ * the first parse after which no rolling median strays further than
+ * `steadyTolerance` from it.
+ */
+function analyze(times) {
+  const steady = median(times.slice(-window));
+  let steadyAt = 0;
+  for (let i = times.length - window; i >= 0; i--) {
+    const rolling = median(times.slice(i, i + window));
+    if (Math.abs(rolling - steady) > steady * steadyTolerance) {
+      steadyAt = i + 1;
+      break;
+    }
+  }
+  let untilSteady = 0;
+  for (let i = 0; i < steadyAt; i++) untilSteady += times[i];
+  return { cold: times[0], steady, steadyAt: steadyAt + 1, untilSteady };
+}
+
+// runs in a fresh process, so the first parse is really the first one
+function measureCell({ parser: name, file }) {
+  const { parsers } = loadParsers({ [name]: selectedParsers[name] });
+  const { parse } = parsers[name];
+  const options = fixtureOptions(parsers[name].options, fixtures[file]);
+  const code = fs.readFileSync(file, "utf-8");
+  const times = [];
+  try {
+    for (let i = 0; i < iterations; i++) {
+      const start = process.hrtime.bigint();
+      parse(code, options);
+      times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    reply({ times });
+  } catch (e) {
+    reply({ error: e.message });
+  }
+}
+
+async function main() {
+  const loaded = loadParsers(selectedParsers);
+  const { parsers, unavailable } = loaded;
+  printLoadReport(loaded);
+
+  const results = createResults("warmup", { parsers, unavailable, files, fixtures, iterations, configFile });
+  const table = new Table({
+    head: ["fixture", "parser"]
+      .concat(checkpoints.map(n => `#${n}`))
+      .concat(["steady", "steady from", "until steady"]),
+    style: {
+      head: ["bold"]
+    }
+  });
+
+  for (const file of files) {
+    const name = fixtureName(file);
+    console.log(`Running warm-up for ${name} ...`);
+    for (let i in parsers) {
+      const { times, error } = await runIsolated(__filename, { parser: i, file });
+      if (error) {
+        results.errors.push({ fixture: name, parser: i, error });
+        table.push([name, parserLabel(i, parsers[i]), `error: ${error}`]
+          .concat(Array(checkpoints.length + 2).fill("")));
+        continue;
+      }
+      const summary = analyze(times);
+      results.results.push({ fixture: name, parser: i, iterations, ...summary, times });
+      table.push(
+        [name, parserLabel(i, parsers[i])]
+          .concat(checkpoints.map(n => format(times[n - 1])))
+          .concat([format(summary.steady), `#${summary.steadyAt}`, format(summary.untilSteady)])
+      );
+    }
+  }
+
+  console.log(table.toString());
+  writeResults(results);
+}
+
+runCommand(measureCell, main);